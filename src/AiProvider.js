@@ -0,0 +1,195 @@
+import { getConfigVariable } from "./util.js";
+import PromptBuilder from "./PromptBuilder.js";
+import ResponseParser from "./ResponseParser.js";
+
+// Base commune des fournisseurs d'IA : prompt et analyse de la réponse sont partagés,
+// un fournisseur n'implémente que l'appel au modèle (complete) et fromConfig
+export default class AiProvider {
+  #promptBuilder;
+  #responseParser;
+  #redactor = null;
+  #DEBUG;
+
+  constructor(language = "FR") {
+    this.#DEBUG = getConfigVariable("DEBUG", "false") === "true";
+    this.#promptBuilder = new PromptBuilder(language);
+    this.#responseParser = new ResponseParser(this.debugLog.bind(this));
+  }
+
+  static fromConfig(language) {
+    throw new Error(`${this.name} must implement static fromConfig(language)`);
+  }
+
+  // Les fournisseurs locaux (Ollama, serveur compatible OpenAI sur le réseau local) surchargent ce getter
+  get isRemote() {
+    return true;
+  }
+
+  // Masquage des données personnelles du prompt (voir PiiRedactor)
+  setRedactor(redactor) {
+    this.#redactor = redactor;
+  }
+
+  debugLog(message, data = null) {
+    if (this.#DEBUG) {
+      const timestamp = new Date().toISOString();
+      console.log(`[DEBUG ${this.constructor.name} ${timestamp}] ${message}`);
+      if (data) {
+        console.log(`[DEBUG ${this.constructor.name} ${timestamp}] Data:`, JSON.stringify(data, null, 2));
+      }
+    }
+  }
+
+  // context : détails optionnels de la transaction (amount, currency, date, sourceAccount, notes)
+  async classify(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false, examples = [], context = {}) {
+    this.debugLog("Starting AI classification", {
+      destinationName,
+      description,
+      type,
+      categoriesCount: categories.length,
+      existingAccountsCount: existingAccounts.length,
+      autoDestinationAccount,
+      budgetsCount: budgets.length,
+      autoBudget,
+      examplesCount: examples.length,
+      context
+    });
+
+    const prompt = this.#promptBuilder.build(
+      categories,
+      destinationName,
+      description,
+      type,
+      existingAccounts,
+      autoDestinationAccount,
+      budgets,
+      autoBudget,
+      examples,
+      context
+    );
+
+    // Le prompt conservé sur le job est exactement celui envoyé au fournisseur
+    const redaction = this.#redactor ? this.#redactor.redact(prompt) : null;
+    const sentPrompt = redaction ? redaction.text : prompt;
+
+    this.debugLog("Generated prompt", { prompt: sentPrompt, redactions: redaction?.redactions || [] });
+
+    // complete() retourne le texte, ou { content, logprobs } quand le fournisseur expose les logprobs
+    const completion = await this.complete(sentPrompt, { autoDestinationAccount, autoBudget });
+    const response = typeof completion === "string" ? completion : completion.content;
+
+    let guess = redaction ? redaction.restore(response) : response;
+    guess = guess.replace("\n", "");
+    guess = guess.trim();
+
+    this.debugLog("AI response received", { guess });
+
+    // Parse the response to extract category, destination account and budget
+    const result = this.#responseParser.parse(guess, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget);
+
+    const logprobConfidence = completion?.logprobs?.length
+      ? this.#responseParser.confidenceFromLogprobs(completion.logprobs)
+      : null;
+
+    if (logprobConfidence !== null) {
+      result.confidence = logprobConfidence;
+      result.confidenceSource = "logprobs";
+    } else if (result.confidence != null) {
+      result.confidenceSource = "model";
+    }
+
+    this.debugLog("Parsed result", result);
+
+    return {
+      prompt: sentPrompt,
+      response,
+      redactions: redaction?.redactions || [],
+      ...result
+    };
+  }
+
+  // Classifie plusieurs transactions du même type en un seul appel.
+  // transactions : [{ id, destinationName, description, type, context }] ; results : Map id -> résultat,
+  // sans les transactions absentes ou invalides dans la réponse (à classifier individuellement)
+  async classifyBatch(categories, transactions, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false, examples = []) {
+    this.debugLog("Starting AI batch classification", {
+      count: transactions.length,
+      type: transactions[0]?.type,
+      categoriesCount: categories.length,
+      autoDestinationAccount,
+      autoBudget,
+      examplesCount: examples.length
+    });
+
+    const prompt = this.#promptBuilder.buildBatch(
+      categories,
+      transactions,
+      existingAccounts,
+      autoDestinationAccount,
+      budgets,
+      autoBudget,
+      examples
+    );
+
+    const redaction = this.#redactor ? this.#redactor.redact(prompt) : null;
+    const sentPrompt = redaction ? redaction.text : prompt;
+
+    this.debugLog("Generated batch prompt", { prompt: sentPrompt, redactions: redaction?.redactions || [] });
+
+    const completion = await this.complete(sentPrompt, { autoDestinationAccount, autoBudget, batchSize: transactions.length });
+    const response = typeof completion === "string" ? completion : completion.content;
+    const guess = (redaction ? redaction.restore(response) : response).trim();
+
+    const results = this.#responseParser.parseBatch(
+      guess,
+      transactions.map(transaction => transaction.id),
+      categories,
+      existingAccounts,
+      autoDestinationAccount,
+      budgets,
+      autoBudget
+    );
+
+    // Les logprobs d'un lot ne sont pas rattachés à chaque transaction : seule l'auto-évaluation est utilisée
+    results.forEach(result => {
+      if (result.confidence != null) {
+        result.confidenceSource = "model";
+      }
+    });
+
+    this.debugLog("Parsed batch result", { classified: results.size, count: transactions.length });
+
+    return {
+      prompt: sentPrompt,
+      response,
+      redactions: redaction?.redactions || [],
+      results
+    };
+  }
+
+  // Taille approximative (4 caractères par token) du prompt qui serait envoyé pour ces transactions,
+  // en un appel (transactions.length > 1 : prompt par lot). Sert à estimer le coût d'un rattrapage.
+  estimatePromptTokens(categories, transactions, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
+    const prompt = transactions.length > 1
+      ? this.#promptBuilder.buildBatch(categories, transactions, existingAccounts, autoDestinationAccount, budgets, autoBudget)
+      : this.#promptBuilder.build(
+        categories,
+        transactions[0].destinationName,
+        transactions[0].description,
+        transactions[0].type,
+        existingAccounts,
+        autoDestinationAccount,
+        budgets,
+        autoBudget,
+        [],
+        transactions[0].context
+      );
+
+    return Math.ceil(prompt.length / 4);
+  }
+
+  // Envoie le prompt au modèle et retourne sa réponse brute (texte, ou { content, logprobs })
+  async complete(prompt, options) {
+    throw new Error(`${this.constructor.name} must implement complete(prompt, options)`);
+  }
+}
@@ -1,12 +1,27 @@
 import express from "express";
 import { getConfigVariable } from "./util.js";
 import FireflyService from "./FireflyService.js";
-import OpenAiService from "./OpenAiService.js";
-import OllamaService from "./OllamaService.js";
+import { createProvider } from "./providers.js";
 import { Server } from "socket.io";
 import * as http from "http";
-import Queue from "queue";
+import path from "path";
+import Queue from "./Queue.js";
 import JobList from "./JobList.js";
+import WebhookVerifier from "./WebhookVerifier.js";
+import RuleEngine from "./RuleEngine.js";
+import CorrectionMemory from "./CorrectionMemory.js";
+import ClassificationCache from "./ClassificationCache.js";
+import DescriptionNormalizer from "./DescriptionNormalizer.js";
+import PiiRedactor from "./PiiRedactor.js";
+
+// uncategorized : sans catégorie ; without_budget : dépenses sans budget ; all : tout reclassifier
+const BACKFILL_MODES = ["uncategorized", "without_budget", "all"];
+// Réponse JSON attendue par transaction (catégorie, compte, budget, confiance)
+const ESTIMATED_OUTPUT_TOKENS = 40;
+// Délai minimal entre deux recherches d'un secret de webhook inconnu dans Firefly III
+const WEBHOOK_SECRET_RETRY_DELAY = 60 * 1000;
+// Rejets de webhooks gardés en mémoire pour l'interface et /health
+const REJECTED_WEBHOOKS_KEPT = 20;
 
 export default class App {
   #PORT;
@@ -16,10 +31,40 @@ export default class App {
   #AUTO_DESTINATION_ACCOUNT;
   #CREATE_DESTINATION_ACCOUNTS;
   #AUTO_BUDGET;
+  #CATEGORIZE_TRANSFERS;
+  #REVIEW_MODE;
+  #DRY_RUN;
+  #LEARN_FROM_CORRECTIONS;
+  #FEW_SHOT_EXAMPLES;
+  #BATCH_SIZE;
+  #BACKFILL_LIMIT;
+  #AI_INPUT_COST;
+  #AI_OUTPUT_COST;
+  #CLASSIFICATION_CACHE;
+  #CLASSIFICATION_CACHE_LIMIT;
+  #NORMALIZE_DESCRIPTIONS;
+  #NORMALIZER_STEPS;
+  #REDACT_PII;
+  #PII_NAMES;
+  #PROMPT_FIELDS;
+  #CONFIDENCE_THRESHOLD;
+  #LOW_CONFIDENCE_TAG;
+  #FIREFLY_TAG;
   #DEBUG;
   #TAG_FILTER;
   #TAG_CHECK_INTERVAL;
   #TAG_LIMIT;
+  #WEBHOOK_URL;
+  #WEBHOOK_SECRET;
+  #WEBHOOK_VERIFY_SIGNATURE;
+  #WEBHOOK_SIGNATURE_TOLERANCE;
+  #WEBHOOK_DEDUPE_WINDOW;
+  #DATA_DIR;
+  #JOB_HISTORY_LIMIT;
+  #JOB_HISTORY_DAYS;
+  #QUEUE_MAX_ATTEMPTS;
+  #QUEUE_RETRY_DELAY;
+  #QUEUE_MAX_RETRY_DELAY;
 
   #firefly;
   #aiService;
@@ -29,20 +74,64 @@ export default class App {
   #express;
 
   #queue;
+  #checkingTags = false;
   #jobList;
+  #webhookVerifier;
+  #ruleEngine;
+  #webhookSecrets = new Map();
+  #webhookSecretsCheckedAt = 0;
+  #webhookSecretsLookup = null;
+  #rejectedWebhooks = { count: 0, recent: [] };
+  #correctionMemory;
+  #classificationCache;
+  #normalizer;
 
   constructor() {
     this.#PORT = getConfigVariable("PORT", "3000");
     this.#ENABLE_UI = getConfigVariable("ENABLE_UI", "false") === "true";
     this.#LANGUAGE = getConfigVariable("LANGUAGE", "FR"); // FR pour français, EN pour anglais
-    this.#PROVIDER = getConfigVariable("PROVIDER", "openai"); // openai ou ollama
+    this.#PROVIDER = getConfigVariable("PROVIDER", "openai"); // voir providers.js
     this.#AUTO_DESTINATION_ACCOUNT = getConfigVariable("AUTO_DESTINATION_ACCOUNT", "false") === "true";
     this.#CREATE_DESTINATION_ACCOUNTS = getConfigVariable("CREATE_DESTINATION_ACCOUNTS", "false") === "true";
     this.#AUTO_BUDGET = getConfigVariable("AUTO_BUDGET", "false") === "true";
+    this.#CATEGORIZE_TRANSFERS = getConfigVariable("CATEGORIZE_TRANSFERS", "false") === "true";
+    this.#REVIEW_MODE = getConfigVariable("REVIEW_MODE", "false") === "true";
+    this.#DRY_RUN = getConfigVariable("DRY_RUN", "false") === "true";
+    this.#LEARN_FROM_CORRECTIONS = getConfigVariable("LEARN_FROM_CORRECTIONS", "false") === "true";
+    this.#FEW_SHOT_EXAMPLES = parseInt(getConfigVariable("FEW_SHOT_EXAMPLES", "3"));
+    this.#BATCH_SIZE = parseInt(getConfigVariable("BATCH_SIZE", "1")); // transactions par appel à l'IA pour /process-existing, 1 = désactivé
+    this.#BACKFILL_LIMIT = parseInt(getConfigVariable("BACKFILL_LIMIT", "1000"));
+    // Prix par million de tokens, pour l'estimation du coût d'un rattrapage (0 = inconnu)
+    this.#AI_INPUT_COST = parseFloat(getConfigVariable("AI_INPUT_COST", "0"));
+    this.#AI_OUTPUT_COST = parseFloat(getConfigVariable("AI_OUTPUT_COST", "0"));
+    this.#CLASSIFICATION_CACHE = getConfigVariable("CLASSIFICATION_CACHE", "true") === "true";
+    this.#CLASSIFICATION_CACHE_LIMIT = parseInt(getConfigVariable("CLASSIFICATION_CACHE_LIMIT", "5000"));
+    this.#NORMALIZE_DESCRIPTIONS = getConfigVariable("NORMALIZE_DESCRIPTIONS", "true") === "true";
+    this.#NORMALIZER_STEPS = getConfigVariable("NORMALIZER_STEPS", "bankPatterns,paymentPrefixes,ibans,cardNumbers,references,dates,longNumbers,segments")
+      .split(",").map(step => step.trim()).filter(Boolean);
+    this.#REDACT_PII = getConfigVariable("REDACT_PII", "remote"); // remote, always ou never
+    this.#CONFIDENCE_THRESHOLD = parseFloat(getConfigVariable("CONFIDENCE_THRESHOLD", "0"));
+    this.#LOW_CONFIDENCE_TAG = getConfigVariable("LOW_CONFIDENCE_TAG", "AI needs review");
+    this.#PII_NAMES = getConfigVariable("PII_NAMES", "").split(",").map(name => name.trim()).filter(Boolean);
+    // Détails ajoutés au prompt : amount, currency, date, sourceAccount, notes
+    this.#PROMPT_FIELDS = getConfigVariable("PROMPT_FIELDS", "amount,currency,date")
+      .split(",").map(field => field.trim()).filter(Boolean);
+    this.#FIREFLY_TAG = getConfigVariable("FIREFLY_TAG", "AI categorized");
     this.#DEBUG = getConfigVariable("DEBUG", "false") === "true";
     this.#TAG_FILTER = getConfigVariable("TAG_FILTER", "");
     this.#TAG_CHECK_INTERVAL = parseInt(getConfigVariable("TAG_CHECK_INTERVAL", "0"));
     this.#TAG_LIMIT = parseInt(getConfigVariable("TAG_LIMIT", "100"));
+    this.#WEBHOOK_URL = getConfigVariable("WEBHOOK_URL", "");
+    this.#WEBHOOK_SECRET = getConfigVariable("WEBHOOK_SECRET", "");
+    this.#WEBHOOK_VERIFY_SIGNATURE = getConfigVariable("WEBHOOK_VERIFY_SIGNATURE", "true") === "true";
+    this.#WEBHOOK_SIGNATURE_TOLERANCE = parseInt(getConfigVariable("WEBHOOK_SIGNATURE_TOLERANCE", "300"));
+    this.#WEBHOOK_DEDUPE_WINDOW = parseInt(getConfigVariable("WEBHOOK_DEDUPE_WINDOW", "600")); // secondes, 0 = désactivé
+    this.#DATA_DIR = getConfigVariable("DATA_DIR", "data");
+    this.#JOB_HISTORY_LIMIT = parseInt(getConfigVariable("JOB_HISTORY_LIMIT", "500"));
+    this.#JOB_HISTORY_DAYS = parseInt(getConfigVariable("JOB_HISTORY_DAYS", "30"));
+    this.#QUEUE_MAX_ATTEMPTS = parseInt(getConfigVariable("QUEUE_MAX_ATTEMPTS", "5"));
+    this.#QUEUE_RETRY_DELAY = parseInt(getConfigVariable("QUEUE_RETRY_DELAY", "30")); // secondes, doublé à chaque essai
+    this.#QUEUE_MAX_RETRY_DELAY = parseInt(getConfigVariable("QUEUE_MAX_RETRY_DELAY", "3600"));
   }
 
   #debugLog(message, data = null) {
@@ -74,6 +163,76 @@ export default class App {
     return hasTag;
   }
 
+  // Les tâches de la file sont persistées : un handler ne reçoit que des données sérialisables
+  #setupQueue() {
+    this.#queue = new Queue(path.join(this.#DATA_DIR, "queue.json"), {
+      maxAttempts: this.#QUEUE_MAX_ATTEMPTS,
+      retryDelay: this.#QUEUE_RETRY_DELAY * 1000,
+      maxRetryDelay: this.#QUEUE_MAX_RETRY_DELAY * 1000,
+      timeout: 30 * 1000,
+    });
+
+    // signal : interrompu quand la tâche expire ; vérifié avant chaque écriture dans Firefly III ou l'historique
+    this.#queue.register("process", ({ jobId }, task, signal) => this.#processJob(jobId, signal));
+    this.#queue.register("processTagged", (payload, task, signal) => this.#processTaggedJob(payload, signal));
+    this.#queue.register("processBatch", (payload, task, signal) => this.#processBatch(payload, signal), { timeout: 30 * 1000 * Math.max(this.#BATCH_SIZE, 1) });
+    this.#queue.register("learn", ({ content }) => this.#learnFromUpdate(content));
+    this.#queue.register("approve", ({ jobId, edits }, task, signal) => this.#applyReviewedProposal(jobId, edits, signal));
+    this.#queue.register("revert", ({ jobId, deleteCreated }, task, signal) => this.#applyRevert(jobId, deleteCreated, signal));
+
+    this.#queue.on("start", (task) => {
+      console.log(`Job started: ${task.name} (attempt ${task.attempts})`, task.jobIds.join(", "));
+      this.#taskJobs(task)
+        .filter(job => job.status === "retrying")
+        .forEach(job => this.#jobList.setJobInProgress(job.id));
+    });
+    this.#queue.on("success", (task) =>
+      console.log(`Job success: ${task.name}`, task.jobIds.join(", "))
+    );
+    this.#queue.on("retry", ({ task, error, delay }) => {
+      console.warn(`Erreur temporaire (${task.name}), nouvel essai dans ${Math.round(delay / 1000)} s: ${error.message}`);
+      this.#taskJobs(task).forEach(job =>
+        this.#jobList.setJobRetrying(job.id, error.message, { attempt: task.attempts, nextAttempt: task.runAt })
+      );
+    });
+    this.#queue.on("dead letter", ({ task, error }) => {
+      console.error(`Job error: ${task.name} abandonné après ${task.attempts} essai(s):`, error);
+      const message = task.name === "revert" ? `Revert failed: ${error.message}` : error.message;
+      this.#taskJobs(task).forEach(job => this.#jobList.setJobError(job.id, message, task.id));
+    });
+    this.#queue.on("requeued", (task) =>
+      this.#taskJobs(task).forEach(job => this.#jobList.setJobQueued(job.id))
+    );
+
+    // Un run reste en cours tant qu'une de ses transactions est encore dans la file
+    const resumedJobIds = this.#queue.getJobIds();
+    const resumedRunIds = resumedJobIds.map(id => this.#jobList.getJob(id)?.data?.runId).filter(Boolean);
+    this.#jobList.markInterrupted([...resumedJobIds, ...resumedRunIds]);
+  }
+
+  // Jobs encore présents dans l'historique pour une tâche de la file ; un job annulé n'est plus suivi
+  #taskJobs(task) {
+    return (task.jobIds || [])
+      .map(id => this.#jobList.getJob(id))
+      .filter(job => job && job.status !== "cancelled");
+  }
+
+  // Remettre dans la file une tâche en lettres mortes (:id), ou toutes
+  #onRequeueDeadLetters(req, res) {
+    const ids = req.params.id
+      ? [req.params.id]
+      : this.#queue.getDeadLetters().map(task => task.id);
+
+    const requeued = ids.map(id => this.#queue.requeue(id)).filter(Boolean);
+    if (req.params.id && requeued.length === 0) {
+      res.status(404).send("Dead letter not found");
+      return;
+    }
+
+    this.#debugLog("Dead letters requeued", { ids: requeued.map(task => task.id) });
+    res.json({ requeued: requeued.length });
+  }
+
   #startTagChecking() {
     if (this.#TAG_CHECK_INTERVAL > 0 && this.#TAG_FILTER) {
       console.log(`Starting periodic tag checking every ${this.#TAG_CHECK_INTERVAL} minutes`);
@@ -99,7 +258,15 @@ export default class App {
     }
   }
 
+  // Le run n'est créé que si des transactions sont trouvées, pour ne pas remplir l'historique à chaque vérification
   async #checkAndProcessTaggedTransactions() {
+    const busy = this.#busyReason();
+    if (busy) {
+      console.log(`[Periodic Check] Vérification ignorée : ${busy}`);
+      return;
+    }
+
+    this.#checkingTags = true;
     try {
       this.#debugLog("Starting periodic tag check");
       
@@ -113,12 +280,10 @@ export default class App {
 
       console.log(`[Periodic Check] ${transactions.length} transactions trouvées avec le tag "${this.#TAG_FILTER}"`);
 
-      // Traiter chaque transaction
-      for (const transaction of transactions) {
-        await this.#processSingleTransaction(transaction);
-      }
+      const run = this.#createRun("periodic", this.#DRY_RUN);
+      const queued = this.#queueRunTransactions(transactions, run);
 
-      console.log(`[Periodic Check] Traitement terminé pour ${transactions.length} transactions`);
+      console.log(`[Periodic Check] ${queued} transactions ajoutées à la file (run ${run.id})`);
       
     } catch (error) {
       console.error("[Periodic Check] Erreur lors de la vérification des tags:", error);
@@ -126,86 +291,242 @@ export default class App {
         error: error.message,
         stack: error.stack
       });
+    } finally {
+      this.#checkingTags = false;
     }
   }
 
-  async run() {
-    this.#debugLog("Starting application initialization");
-    this.#firefly = new FireflyService();
-    
-    // Initialiser le service IA selon la configuration
-    if (this.#PROVIDER === "ollama") {
-      this.#aiService = new OllamaService(
-        getConfigVariable("OLLAMA_BASE_URL", "http://localhost:11434"),
-        getConfigVariable("OLLAMA_MODEL", "llama3.2"),
-        this.#LANGUAGE
-      );
-      console.log(`Using Ollama with model: ${getConfigVariable("OLLAMA_MODEL", "llama3.2")}`);
-      this.#debugLog("Ollama service initialized", {
-        baseUrl: getConfigVariable("OLLAMA_BASE_URL", "http://localhost:11434"),
-        model: getConfigVariable("OLLAMA_MODEL", "llama3.2"),
-        language: this.#LANGUAGE
-      });
-    } else {
-      this.#aiService = new OpenAiService(
-        getConfigVariable("OPENAI_API_KEY"),
-        getConfigVariable("OPENAI_MODEL", "gpt-3.5-turbo"),
-        this.#LANGUAGE
-      );
-      console.log(`Using OpenAI with model: ${getConfigVariable("OPENAI_MODEL", "gpt-3.5-turbo")}`);
-      this.#debugLog("OpenAI service initialized", {
-        model: getConfigVariable("OPENAI_MODEL", "gpt-3.5-turbo"),
-        language: this.#LANGUAGE
-      });
+  // Run en cours ou vérification périodique en train de chercher les transactions : un seul traitement à la fois
+  #busyReason() {
+    const run = this.#currentRun();
+    if (run) {
+      return `run ${run.id} en cours`;
     }
 
-    this.#queue = new Queue({
-      timeout: 30 * 1000,
-      concurrency: 1,
-      autostart: true,
+    return this.#checkingTags ? "vérification périodique en cours" : null;
+  }
+
+  #currentRun() {
+    return Array.from(this.#jobList.getJobs().values())
+      .find(job => job.data?.run && job.status === "in_progress") || null;
+  }
+
+  // Job parent d'un traitement en masse ; chaque transaction trouvée devient un job enfant (data.runId).
+  // data.source : origine des jobs enfants, "tag" (TAG_FILTER) par défaut ou "backfill"
+  #createRun(trigger, dryRun, data = {}) {
+    const run = this.#jobList.createJob({
+      run: true,
+      trigger,
+      source: "tag",
+      tagFilter: this.#TAG_FILTER,
+      description: `Transactions tagged "${this.#TAG_FILTER}"`,
+      dryRun,
+      ...data,
     });
+    this.#jobList.setJobInProgress(run.id);
+    this.#jobList.setJobProgress(run.id, this.#runProgress(run.id));
 
-    this.#queue.addEventListener("start", (job) =>
-      console.log("Job started", job)
-    );
-    this.#queue.addEventListener("success", (event) =>
-      console.log("Job success", event.job)
-    );
-    this.#queue.addEventListener("error", (event) => {
-      console.error("Job error:", event.job || "No job info", event.err || "No error details", event);
-      if (event.err) {
-        console.error("Error details:", event.err.message || event.err);
-        console.error("Error stack:", event.err.stack);
-      }
+    return run;
+  }
+
+  #runJobs(runId) {
+    return Array.from(this.#jobList.getJobs().values())
+      .filter(job => job.data?.runId === runId);
+  }
+
+  #runProgress(runId) {
+    const jobs = this.#runJobs(runId);
+    const count = (...statuses) => jobs.filter(job => statuses.includes(job.status)).length;
+    const remaining = count("queued", "in_progress", "retrying");
+
+    return {
+      total: jobs.length,
+      processed: jobs.length - remaining,
+      succeeded: count("finished", "pending_review"),
+      failed: count("error"),
+      cancelled: count("cancelled"),
+      remaining,
+    };
+  }
+
+  // Appelé à chaque changement d'un job enfant ; le run se termine quand plus aucun enfant n'attend
+  #updateRunProgress(runId) {
+    const run = this.#jobList.getJob(runId);
+    if (!run) {
+      return;
+    }
+
+    const progress = this.#runProgress(runId);
+    this.#jobList.setJobProgress(runId, progress);
+    this.#io.emit("run progress", { runId, progress });
+
+    // Avant la mise en file des transactions, seule une annulation termine le run
+    if (run.status !== "in_progress" || progress.remaining > 0 || !(run.data.queued || run.data.cancelRequested)) {
+      return;
+    }
+
+    if (run.data.cancelRequested) {
+      this.#jobList.setJobCancelled(runId);
+    } else {
+      this.#jobList.setJobFinished(runId);
+    }
+    console.log(`Run ${runId} terminé : ${progress.succeeded} réussies, ${progress.failed} en erreur, ${progress.cancelled} annulées`);
+  }
+
+  #onGetRun(req, res) {
+    const run = this.#jobList.getJob(req.params.id);
+    if (!run?.data?.run) {
+      res.status(404).send("Run not found");
+      return;
+    }
+
+    res.json({
+      ...run,
+      progress: this.#runProgress(run.id),
+      jobs: this.#runJobs(run.id).map(job => ({
+        id: job.id,
+        status: job.status,
+        transactionId: job.data.transactionId,
+        description: job.data.description,
+        category: job.data.category || null,
+        error: job.error || null,
+      })),
     });
-    this.#queue.addEventListener("timeout", (event) =>
-      console.log("Job timeout", event.job)
-    );
+  }
+
+  // Les tâches en attente sont retirées de la file ; les transactions en cours de traitement se terminent
+  #onCancelRun(req, res) {
+    const run = this.#jobList.getJob(req.params.id);
+    if (!run?.data?.run) {
+      res.status(404).send("Run not found");
+      return;
+    }
+
+    if (run.status !== "in_progress") {
+      res.status(409).send(`Run is ${run.status}`);
+      return;
+    }
+
+    this.#jobList.updateJobData(run.id, { ...run.data, cancelRequested: true });
+
+    const jobs = this.#runJobs(run.id);
+    const jobIds = new Set(jobs.map(job => job.id));
+    this.#queue.remove(task => task.jobIds.some(id => jobIds.has(id)));
+
+    const cancelled = jobs.filter(job => ["queued", "retrying"].includes(job.status));
+    cancelled.forEach(job => this.#jobList.setJobCancelled(job.id));
+
+    // Rien n'était en cours : le run se termine immédiatement
+    this.#updateRunProgress(run.id);
+
+    console.log(`Run ${run.id} annulé : ${cancelled.length} transactions retirées de la file`);
+    res.json({ cancelled: cancelled.length, progress: this.#runProgress(run.id) });
+  }
+
+  async run() {
+    this.#debugLog("Starting application initialization");
+    this.#firefly = new FireflyService();
+    
+    // Initialiser le fournisseur IA selon la configuration
+    this.#aiService = createProvider(this.#PROVIDER, this.#LANGUAGE);
+
+    if (this.#REDACT_PII === "always" || (this.#REDACT_PII === "remote" && this.#aiService.isRemote)) {
+      this.#aiService.setRedactor(new PiiRedactor(this.#PII_NAMES));
+      console.log("Personal data is redacted from prompts sent to the AI provider");
+    }
 
     this.#express = express();
     this.#server = http.createServer(this.#express);
     this.#io = new Server(this.#server);
 
-    this.#jobList = new JobList();
+    this.#jobList = new JobList(
+      path.join(this.#DATA_DIR, "jobs.jsonl"),
+      this.#JOB_HISTORY_LIMIT,
+      this.#JOB_HISTORY_DAYS
+    );
     this.#jobList.on("job created", (data) =>
       this.#io.emit("job created", data)
     );
-    this.#jobList.on("job updated", (data) =>
-      this.#io.emit("job updated", data)
+    this.#jobList.on("job updated", (data) => {
+      this.#io.emit("job updated", data);
+      if (data.job.data?.runId) {
+        this.#updateRunProgress(data.job.data.runId);
+      }
+    });
+
+    this.#setupQueue();
+
+    this.#ruleEngine = new RuleEngine(path.join(this.#DATA_DIR, "rules.json"));
+    this.#correctionMemory = new CorrectionMemory(path.join(this.#DATA_DIR, "corrections.json"));
+    this.#normalizer = new DescriptionNormalizer(this.#NORMALIZER_STEPS, path.join(this.#DATA_DIR, "normalizer.json"));
+    this.#classificationCache = new ClassificationCache(
+      this.#CLASSIFICATION_CACHE ? path.join(this.#DATA_DIR, "classifications.json") : null,
+      this.#CLASSIFICATION_CACHE_LIMIT
     );
 
-    this.#express.use(express.json());
+    this.#webhookVerifier = new WebhookVerifier(this.#WEBHOOK_SIGNATURE_TOLERANCE);
+
+    // Conserver le corps brut : la signature Firefly III est calculée dessus
+    this.#express.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString("utf8");
+      }
+    }));
 
     if (this.#ENABLE_UI) {
       this.#express.use("/", express.static("public"));
     }
 
     this.#express.get("/health", (req, res) => {
-      res.status(200).json({ status: "healthy", timestamp: new Date().toISOString() });
+      res.status(200).json({
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        queue: this.#queue.getStats(),
+        referenceCache: this.#firefly.getCacheStats(),
+        classificationCache: this.#CLASSIFICATION_CACHE ? this.#classificationCache.getStats() : null,
+        rejectedWebhooks: this.#rejectedWebhooks,
+      });
+    });
+
+    // Firefly III n'a pas de webhook pour les catégories/comptes : rafraîchissement manuel
+    this.#express.post("/cache/invalidate", (req, res) => {
+      this.#firefly.invalidateCache(req.body?.key || null);
+      res.send("Cache invalidated");
+    });
+
+    // Après renommage ou suppression d'une catégorie : oublier les classifications correspondantes
+    this.#express.delete("/cache/classifications", (req, res) => {
+      const removed = this.#classificationCache.purge(req.query.category || req.body?.category || null);
+      res.json({ removed });
     });
     
     this.#express.post("/webhook", this.#onWebhook.bind(this));
     this.#express.post("/process-existing", this.#onProcessExisting.bind(this));
+    this.#express.get("/runs/:id", this.#onGetRun.bind(this));
+    this.#express.post("/runs/:id/cancel", this.#onCancelRun.bind(this));
+    this.#express.get("/backfill/accounts", this.#onGetBackfillAccounts.bind(this));
+    this.#express.post("/backfill/estimate", this.#onEstimateBackfill.bind(this));
+    this.#express.post("/backfill", this.#onBackfill.bind(this));
+    this.#express.get("/proposals", this.#onGetProposals.bind(this));
+    this.#express.post("/proposals/approve", this.#onApproveAllProposals.bind(this));
+    this.#express.post("/jobs/:id/approve", this.#onApproveJob.bind(this));
+    this.#express.post("/jobs/:id/reject", this.#onRejectJob.bind(this));
+    this.#express.post("/jobs/:id/revert", this.#onRevertJob.bind(this));
+    this.#express.post("/jobs/revert", this.#onRevertJobs.bind(this));
+    this.#express.get("/corrections", (req, res) => res.json(this.#correctionMemory.getCorrections()));
+    this.#express.get("/rules", (req, res) => res.json(this.#ruleEngine.getRules()));
+    this.#express.post("/rules", this.#onSaveRule.bind(this));
+    this.#express.put("/rules/:id", this.#onSaveRule.bind(this));
+    this.#express.delete("/rules/:id", this.#onDeleteRule.bind(this));
+    this.#express.get("/queue", (req, res) => res.json({
+      tasks: this.#queue.getTasks(),
+      deadLetters: this.#queue.getDeadLetters(),
+    }));
+    this.#express.post("/queue/dead-letters/requeue", this.#onRequeueDeadLetters.bind(this));
+    this.#express.post("/queue/dead-letters/:id/requeue", this.#onRequeueDeadLetters.bind(this));
+
+    // Reprendre les tâches restées dans la file au dernier arrêt
+    this.#queue.start();
 
     this.#server.listen(this.#PORT, async () => {
       console.log(`Application running on port ${this.#PORT}`);
@@ -220,10 +541,11 @@ export default class App {
     this.#io.on("connection", (socket) => {
       console.log("connected");
       socket.emit("jobs", Array.from(this.#jobList.getJobs().values()));
+      socket.emit("rejected webhooks", this.#rejectedWebhooks);
     });
   }
 
-  #onWebhook(req, res) {
+  async #onWebhook(req, res) {
     try {
       console.info("Webhook triggered");
       this.#debugLog("Webhook received", {
@@ -232,8 +554,22 @@ export default class App {
         method: req.method,
         url: req.url
       });
-      this.#handleWebhook(req, res);
-      res.send("Queued");
+
+      if (this.#WEBHOOK_VERIFY_SIGNATURE) {
+        try {
+          this.#webhookVerifier.verify(req.get("Signature"), req.rawBody, await this.#getWebhookSecrets());
+        } catch (error) {
+          this.#rejectWebhook(req, res, error.message);
+          return;
+        }
+      }
+
+      const job = this.#handleWebhook(req, res);
+      if (job?.status === "duplicate") {
+        res.send(`Ignored: ${job.reason}`);
+        return;
+      }
+      res.send(this.#isDryRun(req) ? "Queued (dry run)" : "Queued");
     } catch (e) {
       console.error(e);
       this.#debugLog("Webhook error", {
@@ -260,8 +596,19 @@ export default class App {
         return;
       }
 
-      this.#processExistingTransactions(req, res);
-      res.send("Processing existing transactions queued");
+      const busy = this.#busyReason();
+      if (busy) {
+        res.status(409).json({ message: `Processing already in progress (${busy})`, runId: this.#currentRun()?.id || null });
+        return;
+      }
+
+      const dryRun = this.#isDryRun(req);
+      const run = this.#createRun("manual", dryRun);
+      this.#processExistingTransactions(run);
+      res.json({
+        message: dryRun ? "Processing existing transactions queued (dry run)" : "Processing existing transactions queued",
+        runId: run.id,
+      });
     } catch (e) {
       console.error(e);
       this.#debugLog("Process existing error", {
@@ -273,8 +620,78 @@ export default class App {
     }
   }
 
+  // DRY_RUN, ou ?dryRun (sans valeur ou "true") sur la requête
+  #isDryRun(req) {
+    const flag = req.query?.dryRun;
+    return this.#DRY_RUN || flag === "" || flag === "true";
+  }
+
+  #rejectWebhook(req, res, reason) {
+    console.warn(`Webhook rejeté (${req.ip}): ${reason}`);
+    this.#debugLog("Webhook rejected", {
+      reason,
+      remoteAddress: req.ip,
+      signature: req.get("Signature") || null
+    });
+
+    // Aucun job n'est créé : des requêtes non authentifiées rempliraient l'historique et évinceraient les vrais jobs.
+    // Les derniers rejets restent visibles dans l'interface, en mémoire seulement.
+    this.#rejectedWebhooks = {
+      count: this.#rejectedWebhooks.count + 1,
+      recent: [{ date: new Date(), remoteAddress: req.ip, reason }, ...this.#rejectedWebhooks.recent].slice(0, REJECTED_WEBHOOKS_KEPT),
+    };
+    this.#io.emit("rejected webhooks", this.#rejectedWebhooks);
+
+    res.status(401).send(`Webhook rejected: ${reason}`);
+  }
+
+  // Déclencheurs des webhooks Firefly III utilisés par l'application
+  #webhookTriggers() {
+    return this.#LEARN_FROM_CORRECTIONS
+      ? ["STORE_TRANSACTION", "UPDATE_TRANSACTION"]
+      : ["STORE_TRANSACTION"];
+  }
+
+  async #getWebhookSecrets() {
+    // Secret inconnu (ex: Firefly III injoignable au démarrage) : le récupérer à nouveau, au plus une fois
+    // par WEBHOOK_SECRET_RETRY_DELAY même sans résultat, pour qu'une rafale de requêtes non signées n'interroge pas Firefly III
+    const missing = this.#WEBHOOK_URL && this.#webhookTriggers().some(trigger => !this.#webhookSecrets.has(trigger));
+    if (missing && !this.#webhookSecretsLookup && Date.now() - this.#webhookSecretsCheckedAt >= WEBHOOK_SECRET_RETRY_DELAY) {
+      this.#webhookSecretsCheckedAt = Date.now();
+      this.#webhookSecretsLookup = this.#fetchWebhookSecrets().finally(() => {
+        this.#webhookSecretsLookup = null;
+      });
+    }
+
+    // Les requêtes reçues pendant la recherche en attendent le résultat
+    await this.#webhookSecretsLookup;
+
+    const configuredSecrets = this.#WEBHOOK_SECRET.split(",").map(secret => secret.trim());
+    return [...configuredSecrets, ...this.#webhookSecrets.values()].filter(Boolean);
+  }
+
+  async #fetchWebhookSecrets() {
+    for (const trigger of this.#webhookTriggers()) {
+      if (this.#webhookSecrets.has(trigger)) {
+        continue;
+      }
+
+      try {
+        const webhook = await this.#firefly.checkExistingWebhook(this.#WEBHOOK_URL, trigger);
+        if (webhook?.attributes?.secret) {
+          this.#webhookSecrets.set(trigger, webhook.attributes.secret);
+        }
+      } catch (error) {
+        console.error("Impossible de récupérer le secret du webhook:", error.message);
+      }
+    }
+  }
+
   #handleWebhook(req, res) {
-    // TODO: validate auth
+    if (req.body?.trigger === "UPDATE_TRANSACTION" && this.#LEARN_FROM_CORRECTIONS) {
+      this.#handleUpdateWebhook(req);
+      return null;
+    }
 
     if (req.body?.trigger !== "STORE_TRANSACTION") {
       throw new WebhookException(
@@ -298,12 +715,9 @@ export default class App {
       );
     }
 
-    if (
-      req.body.content.transactions[0].type !== "withdrawal" &&
-      req.body.content.transactions[0].type !== "deposit"
-    ) {
+    if (!this.#isSupportedType(req.body.content.transactions[0].type)) {
       throw new WebhookException(
-        "content.transactions[0].type has to be 'withdrawal' or 'deposit'. Transaction will be ignored."
+        `content.transactions[0].type has to be one of ${this.#supportedTypes().join(", ")}. Transaction will be ignored.`
       );
     }
 
@@ -343,384 +757,1585 @@ export default class App {
     });
 
     const job = this.#jobList.createJob({
+      transactionId: req.body.content.id,
+      type,
       destinationName,
+      sourceName: transaction.source_name,
       description,
+      amount: transaction.amount,
+      currency: transaction.currency_code,
+      date: transaction.date,
+      notes: transaction.notes,
+      journals: this.#journalsForJob(req.body.content.transactions),
+      dryRun: this.#isDryRun(req),
     });
 
-    this.#queue.push(async () => {
-      try {
-        this.#jobList.setJobInProgress(job.id);
+    // ?force=true : traiter même une transaction déjà traitée ou déjà étiquetée
+    const force = req.query?.force === "" || req.query?.force === "true";
+    const duplicate = force ? null : this.#findDuplicate(job);
+    if (duplicate) {
+      console.log(`Webhook ignoré pour la transaction ${job.data.transactionId}: ${duplicate.reason}`);
+      this.#jobList.setJobDuplicate(job.id, duplicate.reason, duplicate.jobId);
+      return job;
+    }
 
-        this.#debugLog("Fetching categories and accounts");
-        const categories = await this.#firefly.getCategories();
-        this.#debugLog("Categories retrieved", {
-          count: categories.size,
-          categories: Array.from(categories.keys())
-        });
-        
-        let destinationAccounts = new Map();
-        if (this.#AUTO_DESTINATION_ACCOUNT) {
-          destinationAccounts = await this.#firefly.getDestinationAccounts();
-          this.#debugLog("Destination accounts retrieved", {
-            count: destinationAccounts.size,
-            accounts: Array.from(destinationAccounts.keys())
-          });
-        }
+    this.#queue.push("process", { jobId: job.id }, job.id);
+    return job;
+  }
 
-        let budgets = new Map();
-        if (this.#AUTO_BUDGET) {
-          budgets = await this.#firefly.getBudgets();
-          this.#debugLog("Budgets retrieved", {
-            count: budgets.size,
-            budgets: Array.from(budgets.keys())
-          });
-        }
+  // Firefly III peut livrer plusieurs fois le même webhook : même groupe et mêmes journaux dans
+  // WEBHOOK_DEDUPE_WINDOW, ou transaction déjà étiquetée FIREFLY_TAG
+  #findDuplicate(job) {
+    const { transactionId, journals, dryRun } = job.data;
 
-        this.#debugLog("Starting AI classification", {
-          categories: Array.from(categories.keys()),
-          destinationAccounts: Array.from(destinationAccounts.keys()),
-          autoDestinationAccount: this.#AUTO_DESTINATION_ACCOUNT,
-          budgets: Array.from(budgets.keys()),
-          autoBudget: this.#AUTO_BUDGET
-        });
+    // Une simulation n'écrit rien : elle peut porter sur une transaction déjà catégorisée
+    if (!dryRun && journals.every(journal => journal.tags.includes(this.#FIREFLY_TAG))) {
+      return { reason: `Already tagged "${this.#FIREFLY_TAG}"`, jobId: null };
+    }
 
-        const classificationResult = await this.#aiService.classify(
-          Array.from(categories.keys()),
-          effectiveDestinationName,
-          description,
-          type,
-          Array.from(destinationAccounts.keys()),
-          this.#AUTO_DESTINATION_ACCOUNT,
-          Array.from(budgets.keys()),
-          this.#AUTO_BUDGET
-        );
+    if (this.#WEBHOOK_DEDUPE_WINDOW <= 0) {
+      return null;
+    }
 
-        this.#debugLog("AI classification completed", classificationResult);
-
-        const newData = Object.assign({}, job.data);
-        newData.category = classificationResult?.category || null;
-        newData.prompt = classificationResult?.prompt || null;
-        newData.response = classificationResult?.response || null;
-        newData.destinationAccount = classificationResult?.destinationAccount || null;
-        newData.suggestedDestinationAccount = classificationResult?.suggestedDestinationAccount || null;
-        newData.budget = classificationResult?.budget || null;
-        newData.suggestedBudget = classificationResult?.suggestedBudget || null;
-
-        this.#jobList.updateJobData(job.id, newData);
-
-        // Gestion des catégories
-        let categoryId = null;
-        if (classificationResult?.category) {
-          // Catégorie existante trouvée
-          categoryId = categories.get(classificationResult.category);
-          this.#debugLog("Using existing category", {
-            category: classificationResult.category,
-            categoryId: categoryId
-          });
-        } else if (classificationResult?.suggestedCategory) {
-          // Aucune catégorie existante, créer une nouvelle catégorie
-          console.log(`Création d'une nouvelle catégorie: ${classificationResult.suggestedCategory}`);
-          this.#debugLog("Creating new category", {
-            suggestedCategory: classificationResult.suggestedCategory
-          });
-          categoryId = await this.#firefly.createCategory(classificationResult.suggestedCategory);
-          newData.category = classificationResult.suggestedCategory;
-          this.#debugLog("New category created", {
-            category: classificationResult.suggestedCategory,
-            categoryId: categoryId
-          });
-        } else {
-          console.warn(`Aucune catégorie trouvée pour la transaction: ${destinationName} - ${description}`);
-          this.#debugLog("No category found for transaction");
-        }
+    const journalKey = this.#journalKey(journals);
+    const since = Date.now() - this.#WEBHOOK_DEDUPE_WINDOW * 1000;
+    const original = Array.from(this.#jobList.getJobs().values()).find(other =>
+      other.id !== job.id &&
+      ["queued", "in_progress", "retrying", "pending_review", "finished"].includes(other.status) &&
+      !!other.data?.dryRun === !!dryRun &&
+      String(other.data?.transactionId) === String(transactionId) &&
+      this.#journalKey(other.data.journals || []) === journalKey &&
+      new Date(other.created).getTime() >= since
+    );
 
-        // Gestion des comptes destinataires
-        let destinationAccountId = null;
-        if (this.#AUTO_DESTINATION_ACCOUNT) {
-          if (classificationResult?.destinationAccount) {
-            // Compte destinataire existant trouvé
-            destinationAccountId = destinationAccounts.get(classificationResult.destinationAccount);
-            this.#debugLog("Using existing destination account", {
-              account: classificationResult.destinationAccount,
-              accountId: destinationAccountId
-            });
-          } else if (classificationResult?.suggestedDestinationAccount && this.#CREATE_DESTINATION_ACCOUNTS) {
-            // Aucun compte destinataire existant, créer un nouveau compte
-            console.log(`Création d'un nouveau compte destinataire: ${classificationResult.suggestedDestinationAccount}`);
-            this.#debugLog("Creating new destination account", {
-              suggestedAccount: classificationResult.suggestedDestinationAccount
-            });
-            destinationAccountId = await this.#firefly.createDestinationAccount(classificationResult.suggestedDestinationAccount);
-            newData.destinationAccount = classificationResult.suggestedDestinationAccount;
-            this.#debugLog("New destination account created", {
-              account: classificationResult.suggestedDestinationAccount,
-              accountId: destinationAccountId
-            });
-          }
-        }
+    return original ? { reason: `Duplicate of job ${original.id}`, jobId: original.id } : null;
+  }
 
-        // Gestion des budgets
-        let budgetId = null;
-        if (this.#AUTO_BUDGET && classificationResult?.budget) {
-          budgetId = budgets.get(classificationResult.budget);
-          this.#debugLog("Using existing budget", {
-            budget: classificationResult.budget,
-            budgetId: budgetId
-          });
-        }
+  #journalKey(journals) {
+    return journals.map(journal => String(journal.transaction_journal_id)).sort().join(",");
+  }
 
-        // Appliquer les modifications à la transaction
-        if (categoryId || destinationAccountId) {
-          await this.#firefly.setCategoryAndDestination(
-            req.body.content.id,
-            req.body.content.transactions,
-            categoryId,
-            destinationAccountId
-          );
-        }
+  #handleUpdateWebhook(req) {
+    if (!req.body?.content?.id || !req.body?.content?.transactions?.length) {
+      throw new WebhookException("Missing content.id or content.transactions");
+    }
 
-        // Lier le budget à la transaction
-        if (budgetId) {
-          await this.#firefly.setBudget(req.body.content.id, budgetId);
-        }
+    // Passer par la file : la mise à jour peut venir du job en cours, qui doit d'abord se terminer
+    const content = req.body.content;
+    this.#queue.push("learn", { content });
+  }
 
-        // Mettre à jour les données du job
-        this.#jobList.updateJobData(job.id, newData);
+  // Une transaction déjà catégorisée par l'IA dont la catégorie change est une correction
+  #learnFromUpdate(content) {
+    if (!content.transactions.some(journal => (journal.tags || []).includes(this.#FIREFLY_TAG))) {
+      this.#debugLog("Update ignored - transaction not categorized by AI", { transactionId: content.id });
+      return;
+    }
 
-        this.#jobList.setJobFinished(job.id);
-      } catch (error) {
-        console.error("Erreur lors du traitement de la transaction:", error);
-        this.#jobList.setJobError(job.id, error.message);
-        throw error; // Re-throw pour que la queue puisse le capturer
-      }
-    });
+    const job = Array.from(this.#jobList.getJobs().values())
+      .filter(job => job.status === "finished" && job.data?.applied && String(job.data.transactionId) === String(content.id))
+      .sort((a, b) => new Date(b.created) - new Date(a.created))[0];
+
+    if (!job) {
+      this.#debugLog("Update ignored - no job found for transaction", { transactionId: content.id });
+      return;
+    }
+
+    // Chaque partie d'une transaction ventilée est comparée à la catégorie réellement écrite pour elle
+    const newData = Object.assign({}, job.data);
+    const appliedJournals = job.data.applied.journals || [];
+    if (job.data.splits) {
+      newData.splits = job.data.splits.map(split => {
+        const journal = content.transactions.find(journal =>
+          String(journal.transaction_journal_id) === String(split.transaction_journal_id)
+        );
+        const applied = appliedJournals.find(applied =>
+          String(applied.transaction_journal_id) === String(split.transaction_journal_id)
+        );
+        const correctedCategory = this.#learnCorrection({ ...job.data, ...split }, journal, applied?.category);
+        return correctedCategory ? { ...split, correctedCategory } : split;
+      });
+    } else {
+      newData.correctedCategory = this.#learnCorrection(job.data, content.transactions[0], appliedJournals[0]?.category) || job.data.correctedCategory;
+    }
+
+    this.#jobList.updateJobData(job.id, newData);
   }
 
-  async #setupWebhook() {
-    try {
-      this.#debugLog("Starting webhook setup");
-      const webhookUrl = getConfigVariable("WEBHOOK_URL");
-      
-      if (!webhookUrl) {
-        console.warn("WEBHOOK_URL non configuré. Configuration manuelle requise.");
-        console.log("Pour configurer automatiquement le webhook, ajoutez la variable d'environnement WEBHOOK_URL");
-        console.log("Exemple: WEBHOOK_URL=https://votre-domaine.com/webhook");
-        this.#debugLog("Webhook setup skipped - no WEBHOOK_URL configured");
-        return;
-      }
+  // Retourne la nouvelle catégorie si elle diffère de celle appliquée.
+  // Sans catégorie écrite (rattrapage "without_budget", partie déjà catégorisée), il n'y a rien à corriger.
+  #learnCorrection(classified, journal, appliedCategory) {
+    if (!appliedCategory) {
+      return null;
+    }
 
-      this.#debugLog("Checking for existing webhooks", { webhookUrl });
-      console.log("Vérification des webhooks existants...");
-      const existingWebhook = await this.#firefly.checkExistingWebhook(webhookUrl);
-      
-      if (existingWebhook) {
-        console.log("Webhook déjà configuré:", existingWebhook.attributes.title);
-        this.#debugLog("Existing webhook found", {
-          id: existingWebhook.id,
-          title: existingWebhook.attributes.title,
-          url: existingWebhook.attributes.url,
-          active: existingWebhook.attributes.active
-        });
-        return;
-      }
+    const expectedCategory = classified.correctedCategory || appliedCategory;
+    const newCategory = journal?.category_name;
 
-      this.#debugLog("Creating new webhook", { webhookUrl });
-      console.log("Création automatique du webhook...");
-      const webhook = await this.#firefly.createWebhook(webhookUrl);
-      console.log("Webhook créé avec succès!");
-      console.log(`   - ID: ${webhook.id}`);
-      console.log(`   - URL: ${webhook.attributes.url}`);
-      console.log(`   - Statut: ${webhook.attributes.active ? 'Actif' : 'Inactif'}`);
-      
-      this.#debugLog("Webhook created successfully", {
-        id: webhook.id,
-        url: webhook.attributes.url,
-        active: webhook.attributes.active,
-        title: webhook.attributes.title
-      });
-      
-    } catch (error) {
-      console.error("Erreur lors de la configuration du webhook:", error.message);
-      console.log("Configuration manuelle requise. Consultez le README pour les instructions.");
-      this.#debugLog("Webhook setup error", {
-        error: error.message,
-        stack: error.stack
-      });
+    if (!newCategory || newCategory === expectedCategory) {
+      return null;
     }
+
+    this.#correctionMemory.record(classified.normalizedDescription || classified.description, this.#counterpartyName(classified), newCategory, expectedCategory);
+    this.#classificationCache.delete(...this.#cacheKey(classified));
+    console.log(`Correction mémorisée: "${classified.description}" → ${newCategory} (au lieu de ${expectedCategory})`);
+    return newCategory;
   }
 
-  async #processExistingTransactions(req, res) {
-    try {
-      this.#debugLog("Starting to process existing transactions", { tagFilter: this.#TAG_FILTER });
-      
-      // Récupérer les transactions avec le tag requis
-      const transactions = await this.#firefly.getTransactionsWithTag(this.#TAG_FILTER, this.#TAG_LIMIT);
-      
-      if (transactions.length === 0) {
-        console.log(`Aucune transaction trouvée avec le tag "${this.#TAG_FILTER}"`);
-        return;
-      }
+  #journalsForJob(transactions) {
+    return transactions.map(transaction => ({
+      transaction_journal_id: transaction.transaction_journal_id,
+      tags: transaction.tags || [],
+      categoryId: transaction.category_id || null,
+      budgetId: transaction.budget_id || null,
+      description: transaction.description,
+      destinationName: transaction.destination_name,
+      sourceName: transaction.source_name,
+      amount: transaction.amount,
+      currency: transaction.currency_code,
+      date: transaction.date,
+      notes: transaction.notes,
+    }));
+  }
 
-      console.log(`${transactions.length} transactions trouvées avec le tag "${this.#TAG_FILTER}"`);
+  // Soldes d'ouverture et rapprochements ne sont jamais catégorisés
+  #supportedTypes() {
+    return this.#CATEGORIZE_TRANSFERS
+      ? ["withdrawal", "deposit", "transfer"]
+      : ["withdrawal", "deposit"];
+  }
 
-      // Traiter chaque transaction
-      for (const transaction of transactions) {
-        await this.#processSingleTransaction(transaction);
-      }
+  #isSupportedType(type) {
+    return this.#supportedTypes().includes(type);
+  }
 
-      console.log(`Traitement terminé pour ${transactions.length} transactions`);
-      
-    } catch (error) {
-      console.error("Erreur lors du traitement des transactions existantes:", error);
-      this.#debugLog("Process existing transactions error", {
-        error: error.message,
-        stack: error.stack
+  // Dépense : compte de dépenses (destination) et budget ; dépôt : compte de revenus (source) ;
+  // virement : catégorie seulement, les comptes appartiennent à l'utilisateur
+  async #fetchReferenceData(type) {
+    this.#debugLog("Fetching categories and accounts", { type });
+    const categories = await this.#firefly.getCategories();
+    this.#debugLog("Categories retrieved", {
+      count: categories.size,
+      categories: Array.from(categories.keys())
+    });
+
+    const autoAccount = this.#AUTO_DESTINATION_ACCOUNT && type !== "transfer";
+    const autoBudget = this.#AUTO_BUDGET && type === "withdrawal";
+
+    let accounts = new Map();
+    if (autoAccount) {
+      accounts = type === "deposit"
+        ? await this.#firefly.getRevenueAccounts()
+        : await this.#firefly.getDestinationAccounts();
+      this.#debugLog("Accounts retrieved", {
+        type,
+        count: accounts.size,
+        accounts: Array.from(accounts.keys())
       });
-      throw error;
     }
-  }
 
-  async #processSingleTransaction(transaction) {
-    try {
-      const destinationName = transaction.attributes.transactions[0].destination_name;
-      const description = transaction.attributes.transactions[0].description;
-      const type = transaction.attributes.transactions[0].type;
-
-      this.#debugLog("Processing single transaction", {
-        transactionId: transaction.id,
-        destinationName,
-        description,
-        type
+    let budgets = new Map();
+    if (autoBudget) {
+      budgets = await this.#firefly.getBudgets();
+      this.#debugLog("Budgets retrieved", {
+        count: budgets.size,
+        budgets: Array.from(budgets.keys())
       });
+    }
 
-      // Si le destination_name est "(unknown destination account)", on ne l'utilise pas
-      const hasValidDestination = destinationName && destinationName !== "(unknown destination account)";
-      const effectiveDestinationName = hasValidDestination ? destinationName : null;
+    return { type, categories, accounts, budgets, autoAccount, autoBudget };
+  }
 
-      // Récupérer les catégories et comptes
-      const categories = await this.#firefly.getCategories();
-      
-      let destinationAccounts = new Map();
-      if (this.#AUTO_DESTINATION_ACCOUNT) {
-        destinationAccounts = await this.#firefly.getDestinationAccounts();
-      }
+  // Une tâche exécutée après que son job a été terminé (tâche expirée puis remise dans la file,
+  // double validation...) ne doit rien écrire
+  #isActive(job) {
+    return !!job && ["queued", "in_progress", "retrying"].includes(job.status);
+  }
 
-      let budgets = new Map();
-      if (this.#AUTO_BUDGET) {
-        budgets = await this.#firefly.getBudgets();
-      }
+  // Classifie la transaction du job puis applique le résultat, ou le met en attente de validation
+  async #processJob(jobId, signal = null) {
+    const job = this.#jobList.getJob(jobId);
+    if (!this.#isActive(job)) {
+      this.#debugLog("Job skipped - no longer active", { jobId, status: job?.status });
+      return;
+    }
 
-      // Classification IA
-      const classificationResult = await this.#aiService.classify(
-        Array.from(categories.keys()),
-        effectiveDestinationName,
-        description,
-        type,
-        Array.from(destinationAccounts.keys()),
-        this.#AUTO_DESTINATION_ACCOUNT,
-        Array.from(budgets.keys()),
-        this.#AUTO_BUDGET
-      );
+    this.#jobList.setJobInProgress(jobId);
 
-      this.#debugLog("AI classification completed for existing transaction", classificationResult);
+    const referenceData = await this.#fetchReferenceData(job.data.type);
 
-      // Gestion des catégories
-      let categoryId = null;
-      if (classificationResult?.category) {
-        categoryId = categories.get(classificationResult.category);
-        this.#debugLog("Using existing category", {
-          category: classificationResult.category,
-          categoryId: categoryId
-        });
-      } else if (classificationResult?.suggestedCategory) {
-        console.log(`Création d'une nouvelle catégorie: ${classificationResult.suggestedCategory}`);
-        this.#debugLog("Creating new category", {
-          suggestedCategory: classificationResult.suggestedCategory
-        });
-        categoryId = await this.#firefly.createCategory(classificationResult.suggestedCategory);
-        this.#debugLog("New category created", {
-          category: classificationResult.suggestedCategory,
-          categoryId: categoryId
-        });
-      }
+    // Chaque partie d'une transaction ventilée est classifiée séparément
+    const items = this.#itemsToClassify(job.data);
+    const classifications = [];
+    for (const item of items) {
+      classifications.push(await this.#classifyItem(item, referenceData));
+    }
 
-      // Gestion des comptes destinataires
-      let destinationAccountId = null;
-      if (this.#AUTO_DESTINATION_ACCOUNT) {
-        if (classificationResult?.destinationAccount) {
-          destinationAccountId = destinationAccounts.get(classificationResult.destinationAccount);
-          this.#debugLog("Using existing destination account", {
-            account: classificationResult.destinationAccount,
-            accountId: destinationAccountId
-          });
-        } else if (classificationResult?.suggestedDestinationAccount && this.#CREATE_DESTINATION_ACCOUNTS) {
-          console.log(`Création d'un nouveau compte destinataire: ${classificationResult.suggestedDestinationAccount}`);
-          this.#debugLog("Creating new destination account", {
-            suggestedAccount: classificationResult.suggestedDestinationAccount
-          });
-          destinationAccountId = await this.#firefly.createDestinationAccount(classificationResult.suggestedDestinationAccount);
-          this.#debugLog("New destination account created", {
-            account: classificationResult.suggestedDestinationAccount,
-            accountId: destinationAccountId
-          });
-        }
-      }
+    await this.#completeJob(jobId, items, classifications, signal);
+  }
 
-      // Gestion des budgets
-      let budgetId = null;
-      if (this.#AUTO_BUDGET && classificationResult?.budget) {
-        budgetId = budgets.get(classificationResult.budget);
-        this.#debugLog("Using existing budget for existing transaction", {
-          budget: classificationResult.budget,
-          budgetId: budgetId
-        });
-      }
+  // Enregistre les classifications du job puis les applique, les met en attente de validation ou les simule
+  // Une tâche expirée (signal interrompu) a déjà été passée en erreur par la file : plus rien n'est écrit
+  async #completeJob(jobId, items, classifications, signal = null) {
+    signal?.throwIfAborted();
+    const job = this.#jobList.getJob(jobId);
+    const newData = Object.assign({}, job.data);
+    if (items.length > 1) {
+      newData.splits = classifications.map((classification, index) => ({
+        transaction_journal_id: items[index].transaction_journal_id,
+        description: items[index].description,
+        destinationName: items[index].destinationName,
+        amount: items[index].amount,
+        ...classification,
+      }));
+      newData.lowConfidence = classifications.some(classification => classification.lowConfidence);
+    } else {
+      Object.assign(newData, classifications[0]);
+    }
 
-      // Appliquer les modifications à la transaction
-      if (categoryId || destinationAccountId) {
-        await this.#firefly.setCategoryAndDestination(
-          transaction.id,
-          transaction.attributes.transactions,
-          categoryId,
-          destinationAccountId
-        );
-        console.log(`Transaction ${transaction.id} mise à jour avec succès`);
-      }
+    // Les résultats des règles, écrites par l'utilisateur, ne passent pas par la validation
+    const fromRules = classifications.every(classification => classification.rule);
+    const needsReview = (this.#REVIEW_MODE || newData.lowConfidence) && !fromRules;
+
+    // Simulation : rien n'est écrit dans Firefly III, le job décrit les modifications prévues
+    if (job.data.dryRun) {
+      newData.plannedChanges = this.#plannedChanges(job.data, this.#jobProposals(newData), needsReview, newData.lowConfidence);
+      console.log(`Simulation : aucune modification écrite pour la transaction ${job.data.transactionId}`);
+      this.#jobList.updateJobData(jobId, newData);
+      this.#jobList.setJobFinished(jobId);
+      return;
+    }
 
-      // Lier le budget à la transaction
-      if (budgetId) {
-        await this.#firefly.setBudget(transaction.id, budgetId);
-        console.log(`Budget ${budgetId} lié à la transaction ${transaction.id}`);
+    if (needsReview) {
+      if (newData.lowConfidence) {
+        console.log(`Confiance trop faible pour la transaction ${job.data.transactionId}, validation requise`);
+        signal?.throwIfAborted();
+        newData.lowConfidenceTagged = await this.#tagLowConfidence(job.data.transactionId);
       }
 
-      // Supprimer le tag après traitement pour éviter les boucles
-      if (this.#TAG_FILTER) {
-        try {
-          await this.#firefly.removeTagFromTransaction(transaction.id, this.#TAG_FILTER);
-          this.#debugLog("Tag removed after processing", { 
-            transactionId: transaction.id, 
-            tagName: this.#TAG_FILTER 
-          });
-        } catch (error) {
-          console.error(`Erreur lors de la suppression du tag de la transaction ${transaction.id}:`, error);
-          this.#debugLog("Tag removal error", {
-            transactionId: transaction.id,
-            tagName: this.#TAG_FILTER,
-            error: error.message
-          });
-        }
-      }
+      signal?.throwIfAborted();
+      this.#jobList.updateJobData(jobId, newData);
+      this.#jobList.setJobPendingReview(jobId);
+      this.#debugLog("Proposal stored for review", { jobId, proposals: this.#jobProposals(newData) });
+      return;
+    }
 
-    } catch (error) {
-      console.error(`Erreur lors du traitement de la transaction ${transaction.id}:`, error);
-      this.#debugLog("Single transaction processing error", {
-        transactionId: transaction.id,
-        error: error.message,
-        stack: error.stack
+    newData.applied = await this.#applyProposals(job.data.transactionId, job.data.type, job.data.journals, this.#jobProposals(newData), job.data.backfillMode, signal);
+
+    // Mettre à jour les données du job
+    signal?.throwIfAborted();
+    this.#jobList.updateJobData(jobId, newData);
+    this.#jobList.setJobFinished(jobId);
+  }
+
+  // Ce que #applyProposals, le tag de faible confiance et la suppression de TAG_FILTER écriraient
+  // Rattrapage : "uncategorized" ne touche que les parties sans catégorie, "without_budget" n'écrit
+  // que le budget des parties qui n'en ont pas ; une proposition vide laisse la partie inchangée
+  #targetProposal(proposal, { categoryId, budgetId }, mode = "all") {
+    switch (mode) {
+      case "uncategorized":
+        return categoryId ? {} : proposal;
+      case "without_budget":
+        return budgetId ? {} : { budget: proposal.budget, budgetId: proposal.budgetId };
+      default:
+        return proposal;
+    }
+  }
+
+  #plannedChanges(data, proposals, needsReview, lowConfidence) {
+    const journals = data.journals?.length ? data.journals : [{ transaction_journal_id: null, tags: [] }];
+    const accountField = data.type === "deposit" ? "sourceAccount" : "destinationAccount";
+
+    return {
+      review: needsReview,
+      addTags: [needsReview ? (lowConfidence ? this.#LOW_CONFIDENCE_TAG : null) : this.#FIREFLY_TAG].filter(Boolean),
+      removeTag: data.source === "tag" && this.#TAG_FILTER ? this.#TAG_FILTER : null,
+      journals: journals.map((journal, index) => {
+        const proposal = this.#targetProposal(proposals[index] || proposals[0], journal, data.backfillMode);
+        return {
+          transaction_journal_id: journal.transaction_journal_id,
+          category: proposal.category,
+          createCategory: proposal.createCategory,
+          [accountField]: proposal.destinationAccount,
+          createAccount: proposal.createDestinationAccount,
+          budget: proposal.budget,
+        };
+      }),
+    };
+  }
+
+  // Une entrée par journal ; les jobs enregistrés avant le support des ventilations n'ont pas le détail des journaux
+  #itemsToClassify(data) {
+    const journals = data.journals || [];
+    if (journals.length <= 1) {
+      return [data];
+    }
+
+    return journals.map(journal => ({
+      ...data,
+      transaction_journal_id: journal.transaction_journal_id,
+      description: journal.description ?? data.description,
+      destinationName: journal.destinationName ?? data.destinationName,
+      sourceName: journal.sourceName ?? data.sourceName,
+      amount: journal.amount ?? data.amount,
+      currency: journal.currency ?? data.currency,
+      date: journal.date ?? data.date,
+      notes: journal.notes ?? data.notes,
+    }));
+  }
+
+  // Propositions dans l'ordre des journaux du job
+  #jobProposals(data) {
+    return data.splits ? data.splits.map(split => split.proposal) : [data.proposal];
+  }
+
+  // classificationResult : résultat déjà obtenu (classification par lot), sinon classification individuelle
+  async #classifyItem(item, referenceData, classificationResult = null) {
+    const normalization = this.#normalizeDescription(item.description);
+    classificationResult = classificationResult || await this.#classify({ ...item, ...normalization }, referenceData);
+
+    const proposal = this.#resolveProposal({
+      category: classificationResult?.category || classificationResult?.suggestedCategory,
+      destinationAccount: classificationResult?.destinationAccount || classificationResult?.suggestedDestinationAccount,
+      budget: classificationResult?.budget,
+    }, referenceData);
+    proposal.confidence = classificationResult?.confidence ?? null;
+
+    if (!proposal.category) {
+      console.warn(`Aucune catégorie trouvée pour la transaction: ${item.destinationName} - ${item.description}`);
+      this.#debugLog("No category found for transaction");
+    }
+
+    const rule = classificationResult?.rule || null;
+    return {
+      ...normalization,
+      category: proposal.category,
+      prompt: classificationResult?.prompt || null,
+      response: classificationResult?.response || null,
+      redactions: classificationResult?.redactions || null,
+      destinationAccount: proposal.destinationAccount,
+      suggestedDestinationAccount: classificationResult?.suggestedDestinationAccount || null,
+      budget: proposal.budget,
+      suggestedBudget: classificationResult?.suggestedBudget || null,
+      rule,
+      cached: classificationResult?.cached || false,
+      batch: classificationResult?.batch || false,
+      confidenceSource: classificationResult?.confidenceSource || null,
+      lowConfidence: !rule && this.#isLowConfidence(proposal.confidence),
+      proposal,
+    };
+  }
+
+  // Sans score (modèle qui n'en donne pas), le résultat est appliqué normalement
+  #isLowConfidence(confidence) {
+    return this.#CONFIDENCE_THRESHOLD > 0 && confidence != null && confidence < this.#CONFIDENCE_THRESHOLD;
+  }
+
+  // Signaler la transaction dans Firefly III ; un échec n'empêche pas la mise en attente
+  async #tagLowConfidence(transactionId) {
+    if (!this.#LOW_CONFIDENCE_TAG) {
+      return false;
+    }
+
+    try {
+      await this.#firefly.addTagToTransaction(transactionId, this.#LOW_CONFIDENCE_TAG);
+      return true;
+    } catch (error) {
+      console.error(`Impossible d'ajouter le tag "${this.#LOW_CONFIDENCE_TAG}":`, error.message);
+      return false;
+    }
+  }
+
+  // Le texte brut reste dans description, le texte nettoyé est envoyé à l'IA et sert de clé de cache
+  #normalizeDescription(description) {
+    if (!this.#NORMALIZE_DESCRIPTIONS) {
+      return { normalizedDescription: null, merchant: null, city: null };
+    }
+
+    const result = this.#normalizer.normalize(description);
+    this.#debugLog("Description normalized", result);
+    return {
+      normalizedDescription: result.normalized,
+      merchant: result.merchant,
+      city: result.city,
+    };
+  }
+
+  // Règles locales d'abord, l'IA seulement si aucune règle ne correspond
+  async #classify(transaction, referenceData) {
+    const local = this.#classifyLocally(transaction, referenceData);
+    if (local) {
+      return local;
+    }
+
+    const { type } = transaction;
+    const description = transaction.normalizedDescription || transaction.description;
+    const counterpartyName = this.#counterpartyName(transaction);
+
+    this.#debugLog("Starting AI classification", {
+      categories: Array.from(referenceData.categories.keys()),
+      accounts: Array.from(referenceData.accounts.keys()),
+      autoDestinationAccount: referenceData.autoAccount,
+      budgets: Array.from(referenceData.budgets.keys()),
+      autoBudget: referenceData.autoBudget
+    });
+
+    // Corrections passées les plus proches, injectées comme exemples dans le prompt
+    const examples = this.#LEARN_FROM_CORRECTIONS
+      ? this.#correctionMemory.findSimilar(description, counterpartyName, this.#FEW_SHOT_EXAMPLES)
+      : [];
+
+    const classificationResult = await this.#aiService.classify(
+      Array.from(referenceData.categories.keys()),
+      counterpartyName,
+      description,
+      type,
+      Array.from(referenceData.accounts.keys()),
+      referenceData.autoAccount,
+      Array.from(referenceData.budgets.keys()),
+      referenceData.autoBudget,
+      examples,
+      this.#promptContext(transaction)
+    );
+
+    this.#debugLog("AI classification completed", classificationResult);
+    this.#cacheClassification(transaction, classificationResult);
+
+    return classificationResult;
+  }
+
+  // Règle ou classification en cache, sans appel à l'IA
+  #classifyLocally(transaction, referenceData) {
+    const rule = this.#ruleEngine.match(transaction);
+    if (rule) {
+      console.log(`Règle "${rule.name}" appliquée à la transaction ${transaction.transactionId}`);
+      this.#debugLog("Rule matched", { rule, transaction });
+      return {
+        category: rule.category,
+        destinationAccount: rule.destinationAccount,
+        budget: rule.budget,
+        rule: { id: rule.id, name: rule.name },
+      };
+    }
+
+    // Une simulation sert à essayer un modèle ou un prompt : le cache n'est ni lu ni alimenté
+    const cached = transaction.dryRun ? null : this.#getCachedClassification(transaction, referenceData);
+    if (cached) {
+      console.log(`Classification en cache réutilisée pour la transaction ${transaction.transactionId}`);
+      this.#debugLog("Classification cache hit", { cached, transaction });
+      return { ...cached, cached: true };
+    }
+
+    return null;
+  }
+
+  // Seules les catégories existantes sont mises en cache : une nouvelle catégorie doit d'abord être créée.
+  // Un résultat peu sûr n'est pas réutilisé.
+  #cacheClassification(transaction, classificationResult) {
+    if (!this.#CLASSIFICATION_CACHE || transaction.dryRun || !classificationResult?.category || this.#isLowConfidence(classificationResult.confidence)) {
+      return;
+    }
+
+    this.#classificationCache.set(...this.#cacheKey(transaction), {
+      category: classificationResult.category,
+      destinationAccount: classificationResult.destinationAccount || null,
+      suggestedDestinationAccount: classificationResult.suggestedDestinationAccount || null,
+      budget: classificationResult.budget || null,
+      suggestedBudget: classificationResult.suggestedBudget || null,
+      confidence: classificationResult.confidence ?? null,
+      confidenceSource: classificationResult.confidenceSource || null,
+    });
+  }
+
+  #getCachedClassification(transaction, referenceData) {
+    if (!this.#CLASSIFICATION_CACHE) {
+      return null;
+    }
+
+    const key = this.#cacheKey(transaction);
+    const cached = this.#classificationCache.get(...key);
+
+    // Catégorie renommée ou supprimée dans Firefly III depuis la mise en cache
+    if (cached && !referenceData.categories.has(cached.category)) {
+      this.#debugLog("Cached category no longer exists, entry dropped", { cached });
+      this.#classificationCache.delete(...key);
+      return null;
+    }
+
+    return cached;
+  }
+
+  // Description, tiers et type, plus l'ordre de grandeur du montant quand il est envoyé à l'IA (PROMPT_FIELDS) :
+  // "AMAZON" à 12,99 et à 450 ne partagent alors pas la même classification
+  #cacheKey(transaction) {
+    const amount = Math.abs(parseFloat(transaction.amount));
+    const amountRange = this.#PROMPT_FIELDS.includes("amount") && !isNaN(amount)
+      ? String(Math.floor(Math.log2(Math.max(amount, 1))))
+      : null;
+
+    return [
+      transaction.normalizedDescription || transaction.description,
+      this.#counterpartyName(transaction),
+      transaction.type,
+      amountRange,
+    ];
+  }
+
+  // Détails de la transaction envoyés à l'IA, limités aux champs de PROMPT_FIELDS
+  #promptContext(transaction) {
+    const amount = parseFloat(transaction.amount);
+    const context = {
+      amount: isNaN(amount) ? null : String(Math.abs(amount)),
+      currency: transaction.currency || null,
+      date: transaction.date ? String(transaction.date).substring(0, 10) : null,
+      // Pour un dépôt, la source est le tiers, déjà présent dans la question
+      sourceAccount: transaction.type !== "deposit" ? this.#accountName(transaction.sourceName) : null,
+      notes: transaction.notes ? String(transaction.notes).trim() : null,
+    };
+
+    return Object.fromEntries(
+      Object.entries(context).filter(([field, value]) => value && this.#PROMPT_FIELDS.includes(field))
+    );
+  }
+
+  // Tiers de la transaction : la source pour un dépôt, la destination sinon.
+  // "(unknown destination account)" ou "(unknown source account)" ne sont pas utilisés.
+  #counterpartyName(transaction) {
+    const name = transaction.type === "deposit"
+      ? transaction.sourceName ?? transaction.destinationName
+      : transaction.destinationName;
+    return this.#accountName(name);
+  }
+
+  #accountName(name) {
+    return name && !/^\(unknown .* account\)$/.test(name) ? name : null;
+  }
+
+  // Associe des noms (catégorie, compte, budget) aux identifiants Firefly III, sans rien écrire
+  #resolveProposal(selection, referenceData) {
+    const proposal = {
+      category: null,
+      categoryId: null,
+      createCategory: false,
+      destinationAccount: null,
+      destinationAccountId: null,
+      createDestinationAccount: false,
+      budget: null,
+      budgetId: null,
+    };
+
+    if (selection.category) {
+      proposal.category = selection.category;
+      proposal.categoryId = referenceData.categories.get(selection.category) || null;
+      proposal.createCategory = !proposal.categoryId;
+    }
+
+    if (referenceData.autoAccount && selection.destinationAccount) {
+      const accountId = referenceData.accounts.get(selection.destinationAccount) || null;
+      if (accountId || this.#CREATE_DESTINATION_ACCOUNTS) {
+        proposal.destinationAccount = selection.destinationAccount;
+        proposal.destinationAccountId = accountId;
+        proposal.createDestinationAccount = !accountId;
+      }
+    }
+
+    if (referenceData.autoBudget && selection.budget) {
+      const budgetId = referenceData.budgets.get(selection.budget) || null;
+      if (budgetId) {
+        proposal.budget = selection.budget;
+        proposal.budgetId = budgetId;
+      }
+    }
+
+    return proposal;
+  }
+
+  // proposals[i] s'applique à journals[i] (une seule proposition pour une transaction non ventilée).
+  // Pour un dépôt, le compte proposé est un compte de revenus, source de la transaction.
+  // mode : champs qu'un rattrapage peut modifier (voir #targetProposal)
+  async #applyProposals(transactionId, type, journals, proposals, mode = "all", signal = null) {
+    // Conserver l'état actuel de la transaction pour pouvoir annuler
+    const previous = await this.#snapshotTransaction(transactionId);
+
+    // Tags actuels plutôt que ceux du job : une proposition validée plus tard ne doit pas
+    // remettre TAG_FILTER, supprimé entre-temps
+    const current = new Map(previous.map(journal => [String(journal.transaction_journal_id), journal]));
+
+    // Une catégorie ou un compte proposé par plusieurs parties n'est créé qu'une fois
+    const createdCategories = new Map();
+    const createdDestinationAccounts = new Map();
+
+    const updates = [];
+    for (const [index, journal] of journals.entries()) {
+      const currentJournal = current.get(String(journal.transaction_journal_id));
+      const proposal = this.#targetProposal(proposals[index] || proposals[0], currentJournal
+        ? { categoryId: currentJournal.category_id, budgetId: currentJournal.budget_id }
+        : journal, mode);
+
+      // Gestion des catégories
+      let categoryId = proposal.categoryId || createdCategories.get(proposal.category) || null;
+      if (proposal.categoryId) {
+        this.#debugLog("Using existing category", {
+          category: proposal.category,
+          categoryId: categoryId
+        });
+      } else if (proposal.createCategory && !categoryId) {
+        // Aucune catégorie existante, créer une nouvelle catégorie
+        console.log(`Création d'une nouvelle catégorie: ${proposal.category}`);
+        this.#debugLog("Creating new category", {
+          suggestedCategory: proposal.category
+        });
+        signal?.throwIfAborted();
+        categoryId = await this.#firefly.createCategory(proposal.category);
+        createdCategories.set(proposal.category, categoryId);
+        this.#debugLog("New category created", {
+          category: proposal.category,
+          categoryId: categoryId
+        });
+      }
+
+      // Gestion des comptes destinataires
+      let destinationAccountId = proposal.destinationAccountId || createdDestinationAccounts.get(proposal.destinationAccount) || null;
+      if (proposal.destinationAccountId) {
+        this.#debugLog("Using existing destination account", {
+          account: proposal.destinationAccount,
+          accountId: destinationAccountId
+        });
+      } else if (proposal.createDestinationAccount && !destinationAccountId) {
+        // Aucun compte destinataire existant, créer un nouveau compte
+        console.log(`Création d'un nouveau compte destinataire: ${proposal.destinationAccount}`);
+        this.#debugLog("Creating new destination account", {
+          suggestedAccount: proposal.destinationAccount
+        });
+        signal?.throwIfAborted();
+        destinationAccountId = type === "deposit"
+          ? await this.#firefly.createRevenueAccount(proposal.destinationAccount)
+          : await this.#firefly.createDestinationAccount(proposal.destinationAccount);
+        createdDestinationAccounts.set(proposal.destinationAccount, destinationAccountId);
+        this.#debugLog("New destination account created", {
+          account: proposal.destinationAccount,
+          accountId: destinationAccountId
+        });
+      }
+
+      // Gestion des budgets
+      const budgetId = proposal.budgetId;
+      if (budgetId) {
+        this.#debugLog("Using existing budget", {
+          budget: proposal.budget,
+          budgetId: budgetId
+        });
+      }
+
+      const tags = currentJournal?.tags ?? journal.tags;
+      // Nom de la catégorie réellement écrite, seule référence pour détecter une correction
+      const category = categoryId ? proposal.category : null;
+      updates.push(type === "deposit"
+        ? { ...journal, tags, category, categoryId, sourceAccountId: destinationAccountId, budgetId }
+        : { ...journal, tags, category, categoryId, destinationAccountId, budgetId });
+    }
+
+    // Appliquer les modifications à la transaction, budget compris, en une seule requête
+    if (updates.some(update => update.categoryId || update.destinationAccountId || update.sourceAccountId || update.budgetId)) {
+      signal?.throwIfAborted();
+      await this.#firefly.setCategoryAndDestination(transactionId, updates);
+      console.log(`Transaction ${transactionId} mise à jour avec succès`);
+    }
+
+    return {
+      categoryId: updates[0]?.categoryId || null,
+      destinationAccountId: updates[0]?.destinationAccountId || updates[0]?.sourceAccountId || null,
+      budgetId: updates[0]?.budgetId || null,
+      journals: updates.map(update => ({
+        transaction_journal_id: update.transaction_journal_id,
+        category: update.category,
+        categoryId: update.categoryId,
+        destinationAccountId: update.destinationAccountId || update.sourceAccountId || null,
+        budgetId: update.budgetId,
+      })),
+      createdCategoryIds: Array.from(createdCategories.values()),
+      createdDestinationAccountIds: Array.from(createdDestinationAccounts.values()),
+      previous,
+    };
+  }
+
+  async #snapshotTransaction(transactionId) {
+    const transaction = await this.#firefly.getTransaction(transactionId);
+    return transaction.attributes.transactions.map(journal => ({
+      transaction_journal_id: journal.transaction_journal_id,
+      category_id: journal.category_id || null,
+      destination_id: journal.destination_id || null,
+      source_id: journal.source_id || null,
+      budget_id: journal.budget_id || null,
+      tags: journal.tags || [],
+    }));
+  }
+
+  #canRevert(job) {
+    return job.status === "finished" && !!job.data?.applied?.previous;
+  }
+
+  #revertJob(job, deleteCreated = false) {
+    this.#jobList.setJobInProgress(job.id);
+    this.#queue.push("revert", { jobId: job.id, deleteCreated }, job.id);
+  }
+
+  async #applyRevert(jobId, deleteCreated, signal = null) {
+    const job = this.#jobList.getJob(jobId);
+    if (!this.#isActive(job)) {
+      this.#debugLog("Revert skipped - job no longer active", { jobId, status: job?.status });
+      return;
+    }
+
+    try {
+      const applied = job.data.applied;
+
+      // L'état conservé peut encore porter TAG_FILTER (pris avant sa suppression) : le remettre
+      // ferait retraiter la transaction par la vérification périodique
+      const previous = applied.previous.map(journal => ({
+        ...journal,
+        tags: (journal.tags || []).filter(tag => !this.#TAG_FILTER || tag !== this.#TAG_FILTER),
+      }));
+      signal?.throwIfAborted();
+      await this.#firefly.restoreTransaction(job.data.transactionId, previous);
+
+      const reverted = {
+        date: new Date(),
+        deletedCategoryIds: [],
+        deletedDestinationAccountIds: [],
+      };
+
+      // Supprimer ce que le job a créé, seulement si plus aucune transaction ne l'utilise
+      for (const categoryId of deleteCreated ? applied.createdCategoryIds : []) {
+        if (await this.#firefly.isCategoryUsed(categoryId)) {
+          console.log(`Catégorie ${categoryId} encore utilisée, conservée`);
+        } else {
+          signal?.throwIfAborted();
+          await this.#firefly.deleteCategory(categoryId);
+          reverted.deletedCategoryIds.push(categoryId);
+        }
+      }
+
+      for (const accountId of deleteCreated ? applied.createdDestinationAccountIds : []) {
+        if (await this.#firefly.isAccountUsed(accountId)) {
+          console.log(`Compte ${accountId} encore utilisé, conservé`);
+        } else {
+          signal?.throwIfAborted();
+          await this.#firefly.deleteAccount(accountId);
+          reverted.deletedDestinationAccountIds.push(accountId);
+        }
+      }
+
+      this.#debugLog("Job reverted", { jobId: job.id, transactionId: job.data.transactionId, reverted });
+
+      const newData = Object.assign({}, job.data);
+      newData.reverted = reverted;
+      signal?.throwIfAborted();
+      this.#jobList.updateJobData(job.id, newData);
+      this.#jobList.setJobReverted(job.id);
+    } catch (error) {
+      console.error("Erreur lors de l'annulation du job:", error);
+      throw error;
+    }
+  }
+
+  #onRevertJob(req, res) {
+    const job = this.#jobList.getJob(req.params.id);
+    if (!job) {
+      res.status(404).send("Job not found");
+      return;
+    }
+
+    if (!this.#canRevert(job)) {
+      res.status(409).send("Job has no applied changes to revert");
+      return;
+    }
+
+    this.#revertJob(job, req.body?.deleteCreated === true);
+    res.send("Revert queued");
+  }
+
+  #onRevertJobs(req, res) {
+    const from = req.body?.from ? new Date(req.body.from) : null;
+    const to = req.body?.to ? new Date(req.body.to) : null;
+
+    if (!from || !to || isNaN(from) || isNaN(to)) {
+      res.status(400).send("from and to must be valid dates");
+      return;
+    }
+
+    // Annuler du plus récent au plus ancien pour retrouver l'état d'origine
+    const jobs = Array.from(this.#jobList.getJobs().values())
+      .filter(job => this.#canRevert(job))
+      .filter(job => new Date(job.created) >= from && new Date(job.created) <= to)
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    jobs.forEach(job => this.#revertJob(job, req.body?.deleteCreated === true));
+    this.#debugLog("Bulk revert queued", { from, to, count: jobs.length });
+    res.json({ reverted: jobs.length });
+  }
+
+  #getPendingProposals() {
+    return Array.from(this.#jobList.getJobs().values())
+      .filter(job => job.status === "pending_review");
+  }
+
+  #approveProposal(job, edits = {}) {
+    // Passer le job en cours immédiatement pour éviter une double validation
+    this.#jobList.setJobInProgress(job.id);
+    this.#queue.push("approve", { jobId: job.id, edits }, job.id);
+  }
+
+  async #applyReviewedProposal(jobId, edits, signal = null) {
+    const job = this.#jobList.getJob(jobId);
+    if (!this.#isActive(job)) {
+      this.#debugLog("Approval skipped - job no longer active", { jobId, status: job?.status });
+      return;
+    }
+
+    try {
+      const referenceData = await this.#fetchReferenceData(job.data.type);
+
+      // Une transaction ventilée est modifiée partie par partie : edits.splits[i]
+      const splitEdits = job.data.splits ? (edits.splits || []) : [edits];
+      const proposals = this.#jobProposals(job.data).map((aiProposal, index) => {
+        // Un champ modifié (même vidé) remplace la proposition de l'IA
+        const selection = Object.assign({
+          category: aiProposal?.category,
+          destinationAccount: aiProposal?.destinationAccount,
+          budget: aiProposal?.budget,
+        }, splitEdits[index] || {});
+        const proposal = this.#resolveProposal(selection, referenceData);
+        proposal.confidence = aiProposal?.confidence ?? null;
+        return proposal;
       });
+
+      this.#debugLog("Applying reviewed proposal", { jobId: job.id, proposals, edits });
+
+      const newData = Object.assign({}, job.data);
+      newData.applied = await this.#applyProposals(job.data.transactionId, job.data.type, job.data.journals, proposals, job.data.backfillMode, signal);
+      if (job.data.splits) {
+        newData.splits = job.data.splits.map((split, index) => ({
+          ...split,
+          proposal: proposals[index],
+          category: proposals[index].category,
+          destinationAccount: proposals[index].destinationAccount,
+          budget: proposals[index].budget,
+        }));
+      } else {
+        newData.proposal = proposals[0];
+        newData.category = proposals[0].category;
+        newData.destinationAccount = proposals[0].destinationAccount;
+        newData.budget = proposals[0].budget;
+      }
+      const edited = splitEdits.map(splitEdit => !!splitEdit && Object.keys(splitEdit).length > 0);
+      newData.review = {
+        decision: edited.some(Boolean) ? "edited" : "approved",
+        date: new Date(),
+      };
+
+      signal?.throwIfAborted();
+      this.#forgetClassifications(job.data, edited);
+      this.#jobList.updateJobData(job.id, newData);
+      this.#jobList.setJobFinished(job.id);
+    } catch (error) {
+      console.error("Erreur lors de l'application de la proposition:", error);
       throw error;
     }
   }
+
+  #onSaveRule(req, res) {
+    try {
+      const rule = req.params.id
+        ? this.#ruleEngine.updateRule(req.params.id, req.body || {})
+        : this.#ruleEngine.addRule(req.body || {});
+
+      if (!rule) {
+        res.status(404).send("Rule not found");
+        return;
+      }
+
+      this.#debugLog("Rule saved", rule);
+      res.json(rule);
+    } catch (e) {
+      this.#debugLog("Rule validation error", { error: e.message, body: req.body });
+      res.status(400).send(e.message);
+    }
+  }
+
+  #onDeleteRule(req, res) {
+    if (!this.#ruleEngine.deleteRule(req.params.id)) {
+      res.status(404).send("Rule not found");
+      return;
+    }
+
+    res.send("Rule deleted");
+  }
+
+  #onGetProposals(req, res) {
+    res.json(this.#getPendingProposals());
+  }
+
+  #onApproveJob(req, res) {
+    const job = this.#jobList.getJob(req.params.id);
+    if (!job) {
+      res.status(404).send("Job not found");
+      return;
+    }
+
+    if (job.status !== "pending_review") {
+      res.status(409).send(`Job is ${job.status}, not pending_review`);
+      return;
+    }
+
+    // Seuls les champs fournis remplacent la proposition de l'IA
+    const pickEdits = (body) => {
+      const edits = {};
+      ["category", "destinationAccount", "budget"].forEach(field => {
+        if (typeof body?.[field] === "string") {
+          edits[field] = body[field].trim() || null;
+        }
+      });
+      return edits;
+    };
+
+    const edits = pickEdits(req.body);
+    if (Array.isArray(req.body?.splits)) {
+      edits.splits = req.body.splits.map(pickEdits);
+    }
+
+    this.#approveProposal(job, edits);
+    res.send("Approval queued");
+  }
+
+  // Une proposition rejetée ou modifiée à la validation ne doit plus être servie par le cache.
+  // parts[i] : la partie i a été rejetée ou modifiée (toutes par défaut)
+  #forgetClassifications(data, parts = null) {
+    const classified = data.splits ? data.splits.map(split => ({ ...data, ...split })) : [data];
+    classified
+      .filter((item, index) => !parts || parts[index])
+      .forEach(item => this.#classificationCache.delete(...this.#cacheKey(item)));
+  }
+
+  #onRejectJob(req, res) {
+    const job = this.#jobList.getJob(req.params.id);
+    if (!job) {
+      res.status(404).send("Job not found");
+      return;
+    }
+
+    if (job.status !== "pending_review") {
+      res.status(409).send(`Job is ${job.status}, not pending_review`);
+      return;
+    }
+
+    this.#forgetClassifications(job.data);
+
+    const newData = Object.assign({}, job.data);
+    newData.review = { decision: "rejected", date: new Date() };
+    this.#jobList.updateJobData(job.id, newData);
+    this.#jobList.setJobDeclined(job.id);
+    res.send("Proposal rejected");
+  }
+
+  #onApproveAllProposals(req, res) {
+    const minConfidence = req.body?.minConfidence;
+    if (minConfidence != null && (typeof minConfidence !== "number" || minConfidence < 0 || minConfidence > 1)) {
+      res.status(400).send("minConfidence must be a number between 0 and 1");
+      return;
+    }
+
+    // Sans score de confiance, une proposition n'est validée que si aucun seuil n'est demandé.
+    // Pour une transaction ventilée, chaque partie doit atteindre le seuil.
+    const jobs = this.#getPendingProposals().filter(job =>
+      minConfidence == null ||
+      this.#jobProposals(job.data).every(proposal => proposal?.confidence != null && proposal.confidence >= minConfidence)
+    );
+
+    jobs.forEach(job => this.#approveProposal(job));
+    this.#debugLog("Bulk approval queued", { minConfidence, count: jobs.length });
+    res.json({ approved: jobs.length });
+  }
+
+  async #setupWebhook() {
+    try {
+      this.#debugLog("Starting webhook setup");
+      const webhookUrl = this.#WEBHOOK_URL;
+      
+      if (!webhookUrl) {
+        console.warn("WEBHOOK_URL non configuré. Configuration manuelle requise.");
+        console.log("Pour configurer automatiquement le webhook, ajoutez la variable d'environnement WEBHOOK_URL");
+        console.log("Exemple: WEBHOOK_URL=https://votre-domaine.com/webhook");
+        if (this.#WEBHOOK_VERIFY_SIGNATURE && !this.#WEBHOOK_SECRET) {
+          console.warn("WEBHOOK_SECRET non configuré : les webhooks seront rejetés tant que le secret est inconnu.");
+        }
+        this.#debugLog("Webhook setup skipped - no WEBHOOK_URL configured");
+        return;
+      }
+
+      for (const trigger of this.#webhookTriggers()) {
+        await this.#setupWebhookForTrigger(webhookUrl, trigger);
+      }
+    } catch (error) {
+      console.error("Erreur lors de la configuration du webhook:", error.message);
+      console.log("Configuration manuelle requise. Consultez le README pour les instructions.");
+      this.#debugLog("Webhook setup error", {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  async #setupWebhookForTrigger(webhookUrl, trigger) {
+    this.#debugLog("Checking for existing webhooks", { webhookUrl, trigger });
+    console.log(`Vérification des webhooks existants (${trigger})...`);
+    const existingWebhook = await this.#firefly.checkExistingWebhook(webhookUrl, trigger);
+
+    if (existingWebhook) {
+      console.log("Webhook déjà configuré:", existingWebhook.attributes.title);
+      if (existingWebhook.attributes.secret) {
+        this.#webhookSecrets.set(trigger, existingWebhook.attributes.secret);
+      }
+      this.#debugLog("Existing webhook found", {
+        id: existingWebhook.id,
+        title: existingWebhook.attributes.title,
+        url: existingWebhook.attributes.url,
+        trigger,
+        active: existingWebhook.attributes.active
+      });
+      return;
+    }
+
+    this.#debugLog("Creating new webhook", { webhookUrl, trigger });
+    console.log(`Création automatique du webhook (${trigger})...`);
+    const webhook = await this.#firefly.createWebhook(webhookUrl, trigger);
+    if (webhook.attributes.secret) {
+      this.#webhookSecrets.set(trigger, webhook.attributes.secret);
+    }
+    console.log("Webhook créé avec succès!");
+    console.log(`   - ID: ${webhook.id}`);
+    console.log(`   - URL: ${webhook.attributes.url}`);
+    console.log(`   - Déclencheur: ${trigger}`);
+    console.log(`   - Statut: ${webhook.attributes.active ? 'Actif' : 'Inactif'}`);
+
+    this.#debugLog("Webhook created successfully", {
+      id: webhook.id,
+      url: webhook.attributes.url,
+      trigger,
+      active: webhook.attributes.active,
+      title: webhook.attributes.title
+    });
+  }
+
+  async #onGetBackfillAccounts(req, res) {
+    try {
+      const accounts = await this.#firefly.getAssetAccounts();
+      res.json(Array.from(accounts, ([name, id]) => ({ id, name })));
+    } catch (e) {
+      console.error(e);
+      res.status(502).send(e.message);
+    }
+  }
+
+  // Transactions concernées et coût estimé, sans rien mettre dans la file
+  async #onEstimateBackfill(req, res) {
+    try {
+      const options = this.#backfillOptions(req);
+      const { transactions, limitReached } = await this.#findBackfillTransactions(options);
+      res.json({ ...(await this.#estimateBackfill(transactions)), limitReached, options });
+    } catch (e) {
+      this.#debugLog("Backfill estimate error", { error: e.message, body: req.body });
+      res.status(e instanceof BackfillException ? 400 : 502).send(e.message);
+    }
+  }
+
+  #onBackfill(req, res) {
+    try {
+      const options = this.#backfillOptions(req);
+
+      const busy = this.#busyReason();
+      if (busy) {
+        res.status(409).json({ message: `Processing already in progress (${busy})`, runId: this.#currentRun()?.id || null });
+        return;
+      }
+
+      const run = this.#createRun("backfill", options.dryRun, {
+        source: "backfill",
+        tagFilter: null,
+        description: `Backfill ${options.start} – ${options.end} (${options.mode})`,
+        backfill: options,
+      });
+      this.#processBackfill(run);
+      res.json({
+        message: options.dryRun ? "Backfill queued (dry run)" : "Backfill queued",
+        runId: run.id,
+      });
+    } catch (e) {
+      this.#debugLog("Backfill error", { error: e.message, body: req.body });
+      res.status(e instanceof BackfillException ? 400 : 500).send(e.message);
+    }
+  }
+
+  // Corps : { start, end, accounts?, types?, mode? } ; dates AAAA-MM-JJ incluses
+  #backfillOptions(req) {
+    const body = req.body || {};
+    const isDate = value => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+    if (!isDate(body.start) || !isDate(body.end)) {
+      throw new BackfillException("start and end must be dates (YYYY-MM-DD)");
+    }
+    if (body.start > body.end) {
+      throw new BackfillException("start must be before end");
+    }
+
+    const types = body.types?.length ? body.types : this.#supportedTypes();
+    const unsupported = types.filter(type => !this.#isSupportedType(type));
+    if (unsupported.length > 0) {
+      throw new BackfillException(`Unsupported transaction types: ${unsupported.join(", ")}`);
+    }
+
+    const mode = body.mode || "uncategorized";
+    if (!BACKFILL_MODES.includes(mode)) {
+      throw new BackfillException(`mode must be one of ${BACKFILL_MODES.join(", ")}`);
+    }
+    if (mode === "without_budget" && !this.#AUTO_BUDGET) {
+      throw new BackfillException("AUTO_BUDGET must be enabled to backfill budgets");
+    }
+
+    return {
+      start: body.start,
+      end: body.end,
+      accounts: (body.accounts || []).map(String),
+      types,
+      mode,
+      dryRun: this.#isDryRun(req) || body.dryRun === true,
+    };
+  }
+
+  // Parcourt les transactions de la période (par compte si des comptes sont choisis, FIREFLY_MAX_PAGES pages au plus) ;
+  // seules les BACKFILL_LIMIT premières transactions correspondant au mode sont retenues
+  async #findBackfillTransactions({ start, end, accounts, types, mode }) {
+    const type = types.length === 1 ? types[0] : "all";
+    const pages = [];
+    for (const accountId of accounts.length > 0 ? accounts : [null]) {
+      pages.push(await this.#firefly.getTransactions({ start, end, type, accountId }));
+    }
+
+    // Un virement entre deux comptes choisis apparaît dans les deux listes
+    const unique = new Map();
+    pages.flat().forEach(transaction => unique.set(transaction.id, transaction));
+
+    const transactions = Array.from(unique.values()).filter(transaction => {
+      const journals = transaction.attributes.transactions;
+      if (!types.includes(journals[0].type)) {
+        return false;
+      }
+
+      switch (mode) {
+        case "uncategorized":
+          return journals.some(journal => !journal.category_id);
+        case "without_budget":
+          return journals[0].type === "withdrawal" && journals.some(journal => !journal.budget_id);
+        default:
+          return true;
+      }
+    });
+
+    this.#debugLog("Backfill transactions found", { count: transactions.length, fetched: unique.size });
+
+    return {
+      transactions: transactions.slice(0, this.#BACKFILL_LIMIT),
+      limitReached: transactions.length > this.#BACKFILL_LIMIT,
+    };
+  }
+
+  // Les transactions couvertes par une règle ou le cache ne coûtent rien ; les autres sont comptées
+  // par appel à l'IA (BATCH_SIZE par appel), avec le prompt qui serait réellement envoyé
+  async #estimateBackfill(transactions) {
+    const itemsByType = new Map();
+    transactions.forEach(transaction => {
+      const journals = transaction.attributes.transactions;
+      const type = journals[0].type;
+      const items = journals.map(journal => ({
+        type,
+        description: journal.description,
+        destinationName: journal.destination_name,
+        sourceName: journal.source_name,
+        amount: journal.amount,
+        currency: journal.currency_code,
+        date: journal.date,
+        notes: journal.notes,
+      }));
+      itemsByType.set(type, [...(itemsByType.get(type) || []), ...items]);
+    });
+
+    let local = 0;
+    let ai = 0;
+    let aiCalls = 0;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    for (const [type, items] of itemsByType) {
+      const referenceData = await this.#fetchReferenceData(type);
+      const pending = items
+        .map(item => ({ ...item, ...this.#normalizeDescription(item.description) }))
+        .filter(item => this.#needsAi(item, referenceData));
+      local += items.length - pending.length;
+      ai += pending.length;
+
+      const batchSize = Math.max(this.#BATCH_SIZE, 1);
+      for (let index = 0; index < pending.length; index += batchSize) {
+        const chunk = pending.slice(index, index + batchSize).map((item, position) => ({
+          id: String(position + 1),
+          destinationName: this.#counterpartyName(item),
+          description: item.normalizedDescription || item.description,
+          type,
+          context: this.#promptContext(item),
+        }));
+
+        aiCalls++;
+        inputTokens += this.#aiService.estimatePromptTokens(
+          Array.from(referenceData.categories.keys()),
+          chunk,
+          Array.from(referenceData.accounts.keys()),
+          referenceData.autoAccount,
+          Array.from(referenceData.budgets.keys()),
+          referenceData.autoBudget
+        );
+        outputTokens += ESTIMATED_OUTPUT_TOKENS * chunk.length;
+      }
+    }
+
+    const priced = this.#AI_INPUT_COST > 0 || this.#AI_OUTPUT_COST > 0;
+    return {
+      transactions: transactions.length,
+      // Une transaction ventilée compte une classification par partie
+      classifications: local + ai,
+      local,
+      ai,
+      aiCalls,
+      inputTokens,
+      outputTokens,
+      estimatedCost: priced
+        ? Math.round((inputTokens * this.#AI_INPUT_COST + outputTokens * this.#AI_OUTPUT_COST) / 100) / 10000
+        : null,
+      remoteProvider: this.#aiService.isRemote,
+    };
+  }
+
+  // Même ordre que #classifyLocally (règle, puis cache), sans journaliser ni modifier le cache ou ses statistiques
+  #needsAi(transaction, referenceData) {
+    if (this.#ruleEngine.match(transaction)) {
+      return false;
+    }
+
+    if (!this.#CLASSIFICATION_CACHE) {
+      return true;
+    }
+
+    const cached = this.#classificationCache.peek(...this.#cacheKey(transaction));
+    return !cached || !referenceData.categories.has(cached.category);
+  }
+
+  // L'erreur est enregistrée sur le run : la requête a déjà répondu
+  async #processBackfill(run) {
+    try {
+      const { transactions, limitReached } = await this.#findBackfillTransactions(run.data.backfill);
+
+      // Annulé pendant la recherche des transactions
+      if (run.status !== "in_progress") {
+        return;
+      }
+
+      if (limitReached) {
+        console.warn(`Rattrapage limité à ${this.#BACKFILL_LIMIT} transactions (BACKFILL_LIMIT)`);
+      }
+
+      const queued = this.#queueRunTransactions(transactions, run);
+      console.log(`Rattrapage : ${queued} transactions ajoutées à la file (run ${run.id})`);
+    } catch (error) {
+      console.error("Erreur lors du rattrapage:", error);
+      this.#debugLog("Backfill error", {
+        error: error.message,
+        stack: error.stack
+      });
+      this.#jobList.setJobError(run.id, error.message);
+    }
+  }
+
+  // L'erreur est enregistrée sur le run : la requête a déjà répondu
+  async #processExistingTransactions(run) {
+    try {
+      this.#debugLog("Starting to process existing transactions", { tagFilter: this.#TAG_FILTER, runId: run.id, dryRun: run.data.dryRun });
+      
+      // Récupérer les transactions avec le tag requis
+      const transactions = await this.#firefly.getTransactionsWithTag(this.#TAG_FILTER, this.#TAG_LIMIT);
+
+      // Annulé pendant la recherche des transactions
+      if (run.status !== "in_progress") {
+        return;
+      }
+
+      if (transactions.length === 0) {
+        console.log(`Aucune transaction trouvée avec le tag "${this.#TAG_FILTER}"`);
+      } else {
+        console.log(`${transactions.length} transactions trouvées avec le tag "${this.#TAG_FILTER}"`);
+      }
+
+      const queued = this.#queueRunTransactions(transactions, run);
+
+      console.log(`${queued} transactions ajoutées à la file (run ${run.id})`);
+      
+    } catch (error) {
+      console.error("Erreur lors du traitement des transactions existantes:", error);
+      this.#debugLog("Process existing transactions error", {
+        error: error.message,
+        stack: error.stack
+      });
+      this.#jobList.setJobError(run.id, error.message);
+    }
+  }
+
+  // Une tâche par transaction, ou par lot de BATCH_SIZE transactions classifiées en un seul appel à l'IA.
+  // Les jobs sont tous créés avant d'être mis dans la file, pour que le run ne se termine pas trop tôt.
+  #queueRunTransactions(transactions, run) {
+    const dryRun = run.data.dryRun;
+    const jobs = transactions
+      .map(transaction => this.#createTransactionJob(transaction, run))
+      .filter(Boolean);
+
+    this.#jobList.updateJobData(run.id, { ...run.data, queued: true });
+
+    if (this.#BATCH_SIZE > 1 && jobs.length > 1) {
+      for (let index = 0; index < jobs.length; index += this.#BATCH_SIZE) {
+        const batch = jobs.slice(index, index + this.#BATCH_SIZE);
+        this.#queue.push("processBatch", {
+          jobIds: batch.map(job => job.id),
+          transactionIds: batch.map(job => job.data.transactionId),
+          dryRun,
+        }, batch.map(job => job.id));
+      }
+    } else {
+      jobs.forEach(job => this.#queueTransactionJob(job));
+    }
+
+    this.#updateRunProgress(run.id);
+
+    return jobs.length;
+  }
+
+  #queueTransactionJob(job) {
+    this.#queue.push("processTagged", { jobId: job.id, transactionId: job.data.transactionId, dryRun: job.data.dryRun }, job.id);
+  }
+
+  #createTransactionJob(transaction, run) {
+    const journal = transaction.attributes.transactions[0];
+
+    if (!this.#isSupportedType(journal.type)) {
+      console.log(`Transaction ${transaction.id} ignorée : type "${journal.type}" non traité`);
+      return null;
+    }
+
+    // Une vérification périodique peut retrouver une transaction dont la tâche n'est pas encore terminée
+    const pending = this.#queue.getTasks().some(task =>
+      [task.payload.transactionId, ...(task.payload.transactionIds || [])]
+        .some(transactionId => transactionId != null && String(transactionId) === String(transaction.id))
+    );
+    if (pending) {
+      this.#debugLog("Transaction already queued", { transactionId: transaction.id });
+      return null;
+    }
+
+    this.#debugLog("Processing single transaction", {
+      transactionId: transaction.id,
+      destinationName: journal.destination_name,
+      description: journal.description,
+      type: journal.type
+    });
+
+    return this.#jobList.createJob({
+      transactionId: transaction.id,
+      type: journal.type,
+      destinationName: journal.destination_name,
+      sourceName: journal.source_name,
+      description: journal.description,
+      amount: journal.amount,
+      currency: journal.currency_code,
+      date: journal.date,
+      notes: journal.notes,
+      journals: this.#journalsForJob(transaction.attributes.transactions),
+      source: run.data.source || "tag",
+      dryRun: run.data.dryRun,
+      runId: run.id,
+      backfillMode: run.data.backfill?.mode,
+    });
+  }
+
+  // Tâche "processTagged" : transaction d'un run, étiquetée TAG_FILTER ou trouvée par un rattrapage
+  async #processTaggedJob({ jobId }, signal = null) {
+    if (!this.#isActive(this.#jobList.getJob(jobId))) {
+      return;
+    }
+
+    await this.#processJob(jobId, signal);
+    await this.#removeFilterTag(this.#jobList.getJob(jobId), signal);
+  }
+
+  // Un appel à l'IA par type de transaction du lot. Les transactions absentes de la réponse sont
+  // classifiées individuellement ; un job qui échoue est remis seul dans la file.
+  async #processBatch({ jobIds }, signal = null) {
+    // Après un nouvel essai du lot, les jobs déjà terminés ne sont pas retraités
+    const jobs = jobIds
+      .map(jobId => this.#jobList.getJob(jobId))
+      .filter(job => job && ["queued", "in_progress", "retrying"].includes(job.status));
+
+    const jobsByType = new Map();
+    jobs.forEach(job => jobsByType.set(job.data.type, [...(jobsByType.get(job.data.type) || []), job]));
+
+    for (const [type, jobsOfType] of jobsByType) {
+      // Un run annulé pendant le traitement du lot retire ses jobs encore en attente
+      const typeJobs = jobsOfType.filter(job => job.status !== "cancelled");
+      if (typeJobs.length === 0) {
+        continue;
+      }
+
+      signal?.throwIfAborted();
+      typeJobs.forEach(job => this.#jobList.setJobInProgress(job.id));
+
+      const referenceData = await this.#fetchReferenceData(type);
+      const entries = typeJobs.flatMap(job => this.#itemsToClassify(job.data).map(item => ({ job, item })));
+      const results = await this.#classifyBatch(entries.map(entry => entry.item), referenceData);
+
+      for (const job of typeJobs) {
+        const jobEntries = entries
+          .map((entry, index) => ({ ...entry, result: results[index] }))
+          .filter(entry => entry.job === job);
+
+        try {
+          const classifications = [];
+          for (const entry of jobEntries) {
+            classifications.push(await this.#classifyItem(entry.item, referenceData, entry.result));
+          }
+
+          await this.#completeJob(job.id, jobEntries.map(entry => entry.item), classifications, signal);
+          await this.#removeFilterTag(job, signal);
+        } catch (error) {
+          // Lot expiré : la file a déjà passé ses jobs en erreur, ne pas les remettre dans la file
+          if (signal?.aborted) {
+            throw error;
+          }
+
+          console.error(`Erreur sur la transaction ${job.data.transactionId} du lot, nouvel essai seule:`, error.message);
+          this.#jobList.setJobQueued(job.id);
+          this.#queueTransactionJob(job);
+        }
+      }
+    }
+  }
+
+  // Résultats dans l'ordre des items ; null pour un item à classifier individuellement.
+  // Les règles et le cache passent avant l'IA, comme pour une classification individuelle.
+  async #classifyBatch(items, referenceData) {
+    const transactions = items.map(item => ({ ...item, ...this.#normalizeDescription(item.description) }));
+    const results = transactions.map(transaction => this.#classifyLocally(transaction, referenceData));
+    const pending = results
+      .map((result, index) => result ? null : index)
+      .filter(index => index !== null);
+
+    // Une seule transaction à envoyer : l'appel individuel habituel suffit
+    if (pending.length < 2) {
+      return results;
+    }
+
+    const examples = this.#LEARN_FROM_CORRECTIONS
+      ? this.#batchExamples(pending.map(index => transactions[index]))
+      : [];
+
+    try {
+      const batch = await this.#aiService.classifyBatch(
+        Array.from(referenceData.categories.keys()),
+        pending.map(index => ({
+          id: String(index + 1),
+          destinationName: this.#counterpartyName(transactions[index]),
+          description: transactions[index].normalizedDescription || transactions[index].description,
+          type: referenceData.type,
+          context: this.#promptContext(transactions[index]),
+        })),
+        Array.from(referenceData.accounts.keys()),
+        referenceData.autoAccount,
+        Array.from(referenceData.budgets.keys()),
+        referenceData.autoBudget,
+        examples
+      );
+
+      pending.forEach(index => {
+        const result = batch.results.get(String(index + 1));
+        if (!result) {
+          return;
+        }
+
+        results[index] = { ...result, prompt: batch.prompt, response: batch.response, redactions: batch.redactions, batch: true };
+        this.#cacheClassification(transactions[index], result);
+      });
+
+      console.log(`Lot classifié : ${batch.results.size}/${pending.length} transactions en un appel`);
+      this.#debugLog("AI batch classification completed", { classified: batch.results.size, count: pending.length });
+    } catch (error) {
+      // Fournisseur indisponible ou limite de débit : la file réessaie le lot après le délai (Retry-After),
+      // au lieu de multiplier les appels individuels
+      if (Queue.isTransient(error)) {
+        throw error;
+      }
+
+      // Réponse inexploitable : les transactions du lot sont classifiées une par une
+      console.warn(`Classification par lot impossible, appels individuels: ${error.message}`);
+    }
+
+    return results;
+  }
+
+  // Corrections les plus proches de chaque transaction du lot, sans doublon
+  #batchExamples(transactions) {
+    const examples = new Map();
+    transactions.forEach(transaction => {
+      this.#correctionMemory
+        .findSimilar(transaction.normalizedDescription || transaction.description, this.#counterpartyName(transaction), this.#FEW_SHOT_EXAMPLES)
+        .forEach(example => examples.set(`${example.description}|${example.category}`, example));
+    });
+
+    return Array.from(examples.values()).slice(0, this.#FEW_SHOT_EXAMPLES * 2);
+  }
+
+  // Supprimer le tag après traitement pour éviter les boucles ; une transaction de rattrapage n'a pas ce tag
+  async #removeFilterTag(job, signal = null) {
+    if (!this.#TAG_FILTER || job.data.dryRun || job.data.source !== "tag") {
+      return;
+    }
+
+    signal?.throwIfAborted();
+
+    const transactionId = job.data.transactionId;
+
+    try {
+      await this.#firefly.removeTagFromTransaction(transactionId, this.#TAG_FILTER);
+      this.#debugLog("Tag removed after processing", {
+        transactionId,
+        tagName: this.#TAG_FILTER
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du tag de la transaction ${transactionId}:`, error);
+      this.#debugLog("Tag removal error", {
+        transactionId,
+        tagName: this.#TAG_FILTER,
+        error: error.message
+      });
+    }
+  }
+}
+
+class BackfillException extends Error {
+  constructor(message) {
+    super(message);
+  }
 }
 
 class WebhookException extends Error {
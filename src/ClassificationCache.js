@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+
+// Cache persistant des résultats de classification, indexé par description/destination/type normalisés,
+// et par tranche de montant quand le montant fait partie du prompt
+export default class ClassificationCache {
+  #entries = new Map();
+  #stats = {hits: 0, misses: 0};
+  #file;
+  #limit;
+
+  constructor(file = null, limit = 5000) {
+    this.#file = file;
+    this.#limit = limit;
+
+    if (this.#file) {
+      this.#load();
+    }
+  }
+
+  get(description, destinationName, type, amountRange = null) {
+    const key = this.#key(description, destinationName, type, amountRange);
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      this.#stats.misses++;
+      return null;
+    }
+
+    this.#stats.hits++;
+    entry.hits++;
+    entry.lastUsed = new Date();
+
+    // Réinsérer l'entrée utilisée en fin de Map : l'éviction retire la moins récemment utilisée
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    return entry.result;
+  }
+
+  // Lecture sans effet : ni statistiques ni date d'utilisation (estimations)
+  peek(description, destinationName, type, amountRange = null) {
+    return this.#entries.get(this.#key(description, destinationName, type, amountRange))?.result || null;
+  }
+
+  set(description, destinationName, type, amountRange, result) {
+    const key = this.#key(description, destinationName, type, amountRange);
+
+    // Réinsérer la clé pour garder l'ordre d'utilisation (les plus anciennes sont évincées)
+    this.#entries.delete(key);
+    this.#entries.set(key, {
+      result,
+      created: new Date(),
+      lastUsed: new Date(),
+      hits: 0,
+    });
+
+    if (this.#limit > 0 && this.#entries.size > this.#limit) {
+      const oldestKey = this.#entries.keys().next().value;
+      this.#entries.delete(oldestKey);
+    }
+
+    this.#save();
+  }
+
+  // Supprime une entrée précise (ex: catégorie devenue invalide)
+  delete(description, destinationName, type, amountRange = null) {
+    if (this.#entries.delete(this.#key(description, destinationName, type, amountRange))) {
+      this.#save();
+    }
+  }
+
+  // Supprime les entrées d'une catégorie (renommée ou supprimée), ou tout le cache
+  purge(category = null) {
+    let removed = 0;
+    this.#entries.forEach((entry, key) => {
+      if (!category || entry.result.category === category) {
+        this.#entries.delete(key);
+        removed++;
+      }
+    });
+
+    this.#save();
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.#stats.hits + this.#stats.misses;
+    return {
+      size: this.#entries.size,
+      ...this.#stats,
+      hitRatio: lookups > 0 ? this.#stats.hits / lookups : null,
+    };
+  }
+
+  #key(description, destinationName, type, amountRange = null) {
+    return [description, destinationName, type, amountRange]
+      .map(value => this.#normalize(value))
+      .join("|");
+  }
+
+  #normalize(value) {
+    return (value || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  #load() {
+    fs.mkdirSync(path.dirname(this.#file), {recursive: true});
+
+    if (!fs.existsSync(this.#file)) {
+      return;
+    }
+
+    this.#entries = new Map(Object.entries(JSON.parse(fs.readFileSync(this.#file, "utf8"))));
+    console.log(`${this.#entries.size} classifications en cache chargées depuis ${this.#file}`);
+  }
+
+  #save() {
+    if (!this.#file) {
+      return;
+    }
+
+    fs.writeFileSync(`${this.#file}.tmp`, JSON.stringify(Object.fromEntries(this.#entries)));
+    fs.renameSync(`${this.#file}.tmp`, this.#file);
+  }
+}
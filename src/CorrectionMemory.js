@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+
+// Mémorise les catégories corrigées par l'utilisateur pour les réutiliser comme exemples dans les prompts
+export default class CorrectionMemory {
+  #corrections = [];
+  #file;
+  #limit;
+
+  constructor(file = null, limit = 500) {
+    this.#file = file;
+    this.#limit = limit;
+
+    if (this.#file) {
+      this.#load();
+    }
+  }
+
+  getCorrections() {
+    return this.#corrections;
+  }
+
+  record(description, destinationName, category, previousCategory = null) {
+    const key = this.#key(description, destinationName);
+
+    // Une seule correction par couple description/destination : la plus récente
+    this.#corrections = this.#corrections.filter(correction =>
+      this.#key(correction.description, correction.destinationName) !== key
+    );
+
+    const correction = {
+      description,
+      destinationName: destinationName || null,
+      category,
+      previousCategory,
+      date: new Date(),
+    };
+
+    this.#corrections.push(correction);
+
+    if (this.#limit > 0 && this.#corrections.length > this.#limit) {
+      this.#corrections = this.#corrections.slice(-this.#limit);
+    }
+
+    this.#save();
+    return correction;
+  }
+
+  // Exemples les plus proches selon la similarité de Jaccard entre les mots
+  findSimilar(description, destinationName, count = 3) {
+    if (count <= 0) {
+      return [];
+    }
+
+    const tokens = this.#tokenize(`${description || ""} ${destinationName || ""}`);
+    if (tokens.size === 0) {
+      return [];
+    }
+
+    return this.#corrections
+      .map(correction => ({
+        correction,
+        score: this.#similarity(tokens, this.#tokenize(`${correction.description} ${correction.destinationName || ""}`)),
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(({correction}) => ({
+        description: correction.description,
+        destinationName: correction.destinationName,
+        category: correction.category,
+      }));
+  }
+
+  #similarity(a, b) {
+    let intersection = 0;
+    a.forEach(token => {
+      if (b.has(token)) {
+        intersection++;
+      }
+    });
+
+    const union = a.size + b.size - intersection;
+    return union === 0 ? 0 : intersection / union;
+  }
+
+  // Mots en minuscules, sans les nombres ni les mots d'une lettre
+  #tokenize(text) {
+    return new Set(
+      text.toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !/^\d+$/.test(token))
+    );
+  }
+
+  #key(description, destinationName) {
+    return `${(description || "").trim().toLowerCase()}|${(destinationName || "").trim().toLowerCase()}`;
+  }
+
+  #load() {
+    fs.mkdirSync(path.dirname(this.#file), {recursive: true});
+
+    if (!fs.existsSync(this.#file)) {
+      return;
+    }
+
+    this.#corrections = JSON.parse(fs.readFileSync(this.#file, "utf8"));
+    console.log(`${this.#corrections.length} corrections chargées depuis ${this.#file}`);
+  }
+
+  #save() {
+    if (!this.#file) {
+      return;
+    }
+
+    fs.writeFileSync(`${this.#file}.tmp`, JSON.stringify(this.#corrections, null, 2));
+    fs.renameSync(`${this.#file}.tmp`, this.#file);
+  }
+}
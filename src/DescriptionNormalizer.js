@@ -0,0 +1,166 @@
+import fs from "fs";
+
+// Étapes intégrées, appliquées dans l'ordre de NORMALIZER_STEPS.
+// Chaque étape reçoit et retourne l'état { text, merchant, city }.
+const BUILT_IN_STEPS = {
+  // Motifs propres à chaque banque, avant les heuristiques génériques
+  bankPatterns: (state, normalizer) => normalizer.applyBankPatterns(state),
+  // Avant cardNumbers : "CARTE X1234" ferait sinon partie de "PAIEMENT PAR CARTE X1234"
+  paymentPrefixes: state => replaceText(state, PAYMENT_PREFIX),
+  ibans: state => replaceText(state, /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g),
+  cardNumbers: state => replaceText(state, [
+    /\b(?:\d{4}[ -]?){3}\d{4}\b/g,
+    /\b(?:X{4}[ -]?|\*{4}[ -]?){1,3}\d{4}\b/gi,
+    /\b(?:KARTE|CARTE|CARD|CB)\s*(?:NR\.?|N°|NO\.?)?\s*[X*]*\d{4}\b/gi,
+  ]),
+  references: state => replaceText(state, [
+    /\b(?:KDN-REF|END-TO-END-REF|EREF|MREF|CRED|MANDAT|MANDATE|R[EÉ]F(?:[EÉ]RENCE)?|REF(?:ERENCE)?)\b\s*[:.]?\s*[^;|]*/gi,
+  ]),
+  // Jour et mois valides : un montant comme 12.99 n'est pas une date.
+  // Sans année, le point est réservé aux décimales et seuls "/" et "-" sont reconnus.
+  dates: state => replaceText(state, [
+    /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?\b/g,
+    /\b(?:0?[1-9]|[12]\d|3[01])([./-])(?:0?[1-9]|1[0-2])\1(?:\d{4}|\d{2})\b/g,
+    /\b(?:0?[1-9]|[12]\d|3[01])[/-](?:0?[1-9]|1[0-2])\b(?![./-]\d)/g,
+    /\b(?:0[1-9]|[12]\d|3[01])(?:0[1-9]|1[0-2])(?:20)?\d{2}\b/g,
+    /\b\d{2}:\d{2}(?::\d{2})?\b/g,
+  ]),
+  longNumbers: state => replaceText(state, /\b\d{5,}\b/g),
+  segments: state => extractMerchantAndCity(state),
+};
+
+// Moyen de paiement en tête de description, avec le numéro de carte masqué qui le suit
+const PAYMENT_PREFIX = /^\s*(?:(?:PAIEMENT PAR CARTE|CB|CARTE|PRLV SEPA|VIR SEPA|KARTENZAHLUNG|LASTSCHRIFT)\b|PAYPAL \*|SQ \*|SUMUP \*)(?:\s*[X*]+\d{4}\b)?/i;
+
+export default class DescriptionNormalizer {
+  #steps = [];
+  #bankPatterns = [];
+
+  constructor(stepNames = Object.keys(BUILT_IN_STEPS), patternsFile = null) {
+    stepNames.forEach(name => {
+      if (!BUILT_IN_STEPS[name]) {
+        throw new NormalizerException(`Unknown normalizer step '${name}'. Available: ${Object.keys(BUILT_IN_STEPS).join(", ")}`);
+      }
+      this.addStep(name, BUILT_IN_STEPS[name]);
+    });
+
+    if (patternsFile && fs.existsSync(patternsFile)) {
+      this.#bankPatterns = JSON.parse(fs.readFileSync(patternsFile, "utf8")).map(pattern => this.#compilePattern(pattern));
+      console.log(`${this.#bankPatterns.length} motifs bancaires chargés depuis ${patternsFile}`);
+    }
+  }
+
+  // Point d'extension : ajoute une étape (state, normalizer) => state en fin de pipeline
+  addStep(name, step) {
+    this.#steps.push({ name, step });
+  }
+
+  normalize(description) {
+    let state = { text: description || "", merchant: null, city: null };
+
+    for (const { step } of this.#steps) {
+      state = step(state, this);
+    }
+
+    return {
+      raw: description,
+      normalized: cleanup(state.text) || description,
+      merchant: state.merchant,
+      city: state.city,
+    };
+  }
+
+  // Un motif ne s'applique qu'aux descriptions qui correspondent à "detect" (s'il est défini)
+  applyBankPatterns(state) {
+    for (const pattern of this.#bankPatterns) {
+      if (pattern.detect && !pattern.detect.test(state.text)) {
+        continue;
+      }
+
+      const merchant = pattern.merchant ? state.text.match(pattern.merchant) : null;
+      const city = pattern.city ? state.text.match(pattern.city) : null;
+
+      state = replaceText(state, pattern.remove);
+      state.merchant = state.merchant || (merchant?.[1] ? cleanup(merchant[1]) : null);
+      state.city = state.city || (city?.[1] ? cleanup(city[1]) : null);
+    }
+
+    return state;
+  }
+
+  #compilePattern(pattern) {
+    const toRegex = (value, flags = "i") => {
+      if (!value) {
+        return null;
+      }
+
+      const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]) : new RegExp(value, flags);
+      } catch (error) {
+        throw new NormalizerException(`Invalid pattern in '${pattern.name || "unnamed"}': ${error.message}`);
+      }
+    };
+
+    return {
+      name: pattern.name || null,
+      detect: toRegex(pattern.detect),
+      remove: (pattern.remove || []).map(value => toRegex(value, "gi")).map(regex => regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`)),
+      merchant: toRegex(pattern.merchant),
+      city: toRegex(pattern.city),
+    };
+  }
+}
+
+function replaceText(state, patterns) {
+  const text = [].concat(patterns).reduce((text, pattern) => text.replace(pattern, " "), state.text);
+  return { ...state, text };
+}
+
+// Sépare la description en segments (";", "|", "/" ou plusieurs espaces) :
+// le premier est le marchand, un segment "VILLE CC" (code pays) est la ville,
+// à défaut un dernier segment en majuscules ("CARREFOUR MARKET 12/05 PARIS")
+function extractMerchantAndCity(state) {
+  const segments = state.text
+    .split(/\s*[;|]\s*|\s+\/\s+|\s{2,}/)
+    .map(segment => cleanup(segment))
+    .filter(segment => /\p{L}/u.test(segment));
+
+  let city = state.city;
+  segments.slice(1).forEach(segment => {
+    const cityMatch = !city && segment.match(/^(\p{L}[\p{L}' -]*?)\s+([A-Z]{2})$/u);
+    if (cityMatch) {
+      city = cityMatch[1];
+    }
+  });
+
+  const lastSegment = segments.length > 1 ? segments[segments.length - 1] : null;
+  if (!city && lastSegment && /^\p{Lu}[\p{Lu}' -]*$/u.test(lastSegment)) {
+    city = lastSegment;
+  }
+
+  // Préfixes de moyen de paiement qui ne font pas partie du nom du marchand (étape paymentPrefixes désactivée)
+  const merchant = segments[0]
+    ? cleanup(segments[0].replace(PAYMENT_PREFIX, "")) || segments[0]
+    : null;
+
+  return {
+    text: segments.join("; "),
+    merchant: state.merchant || merchant,
+    city,
+  };
+}
+
+function cleanup(text) {
+  return (text || "")
+    .replace(/\s+([;,.])/g, "$1")
+    .replace(/(?:^[\s;,.:*/-]+|[\s;,:*/-]+$)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+class NormalizerException extends Error {
+  constructor(message) {
+    super(message);
+  }
+}
@@ -1,9 +1,15 @@
-import {getConfigVariable} from "./util.js";
+import {getConfigVariable, getRetryAfter} from "./util.js";
 
 export default class FireflyService {
     #BASE_URL;
     #PERSONAL_TOKEN;
     #DEBUG;
+    #PAGE_SIZE;
+    #MAX_PAGES;
+    #CACHE_TTL;
+
+    #referenceCache = new Map();
+    #cacheStats = {hits: 0, misses: 0, invalidations: 0};
 
     constructor() {
         this.#BASE_URL = getConfigVariable("FIREFLY_URL")
@@ -13,6 +19,58 @@ export default class FireflyService {
 
         this.#PERSONAL_TOKEN = getConfigVariable("FIREFLY_PERSONAL_TOKEN")
         this.#DEBUG = getConfigVariable("DEBUG", "false") === "true";
+        this.#PAGE_SIZE = parseInt(getConfigVariable("FIREFLY_PAGE_SIZE", "100"));
+        this.#MAX_PAGES = parseInt(getConfigVariable("FIREFLY_MAX_PAGES", "50"));
+        this.#CACHE_TTL = parseInt(getConfigVariable("REFERENCE_CACHE_TTL", "300"));
+    }
+
+    // Cache des données de référence (catégories, comptes, budgets) pendant REFERENCE_CACHE_TTL secondes
+    async #cached(key, loader) {
+        const entry = this.#referenceCache.get(key);
+        if (entry && entry.expires > Date.now()) {
+            this.#cacheStats.hits++;
+            this.#debugLog("Reference cache hit", { key });
+            return new Map(entry.value);
+        }
+
+        this.#cacheStats.misses++;
+        const value = await loader();
+
+        if (this.#CACHE_TTL > 0) {
+            this.#referenceCache.set(key, {
+                value,
+                loaded: new Date(),
+                expires: Date.now() + this.#CACHE_TTL * 1000,
+            });
+        }
+
+        return new Map(value);
+    }
+
+    invalidateCache(key = null) {
+        if (key) {
+            this.#referenceCache.delete(key);
+        } else {
+            this.#referenceCache.clear();
+        }
+
+        this.#cacheStats.invalidations++;
+        this.#debugLog("Reference cache invalidated", { key: key || "all" });
+    }
+
+    getCacheStats() {
+        const lookups = this.#cacheStats.hits + this.#cacheStats.misses;
+        const entries = {};
+        this.#referenceCache.forEach((entry, key) => {
+            entries[key] = {size: entry.value.size, loaded: entry.loaded};
+        });
+
+        return {
+            ttl: this.#CACHE_TTL,
+            ...this.#cacheStats,
+            hitRatio: lookups > 0 ? this.#cacheStats.hits / lookups : null,
+            entries,
+        };
     }
 
     #debugLog(message, data = null) {
@@ -25,31 +83,79 @@ export default class FireflyService {
         }
     }
 
-    async getCategories() {
-        this.#debugLog("Fetching categories from Firefly III", { url: `${this.#BASE_URL}/api/v1/categories` });
-        
-        const response = await fetch(`${this.#BASE_URL}/api/v1/categories`, {
-            headers: {
-                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+    // Parcourt toutes les pages d'un endpoint de liste (meta.pagination, sinon links.next)
+    async #fetchAllPages(path, maxItems = null) {
+        const url = new URL(`${this.#BASE_URL}${path}`);
+        url.searchParams.set("limit", String(maxItems ? Math.min(maxItems, this.#PAGE_SIZE) : this.#PAGE_SIZE));
+
+        const items = [];
+        let nextUrl = url.toString();
+        let page = 0;
+
+        while (nextUrl && page < this.#MAX_PAGES) {
+            const response = await fetch(nextUrl, {
+                headers: {
+                    Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                this.#debugLog("Error fetching page", { path, page: page + 1, status: response.status, error: errorText });
+                throw new FireflyException(response.status, response, errorText);
             }
-        });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            this.#debugLog("Error fetching categories", { status: response.status, error: errorText });
-            throw new FireflyException(response.status, response, errorText)
+            const data = await response.json();
+            items.push(...data.data);
+            page++;
+
+            const pagination = data.meta?.pagination;
+            this.#debugLog("Page fetched", {
+                path,
+                page,
+                totalPages: pagination?.total_pages ?? null,
+                count: data.data.length,
+                total: pagination?.total ?? null
+            });
+
+            if (maxItems && items.length >= maxItems) {
+                return items.slice(0, maxItems);
+            }
+
+            if (pagination) {
+                // Reconstruire l'URL plutôt que suivre links.next, dont l'hôte peut différer de FIREFLY_URL
+                if (pagination.current_page < pagination.total_pages && data.data.length > 0) {
+                    url.searchParams.set("page", String(pagination.current_page + 1));
+                    nextUrl = url.toString();
+                } else {
+                    nextUrl = null;
+                }
+            } else {
+                nextUrl = data.links?.next || null;
+            }
         }
 
-        const data = await response.json();
-        this.#debugLog("Categories API response", { data });
+        if (nextUrl) {
+            console.warn(`Pagination interrompue après ${this.#MAX_PAGES} pages pour ${path} (FIREFLY_MAX_PAGES)`);
+        }
 
-        const categories = new Map();
-        data.data.forEach(category => {
-            categories.set(category.attributes.name, category.id);
-        });
+        return items;
+    }
+
+    async getCategories() {
+        return this.#cached("categories", async () => {
+            this.#debugLog("Fetching categories from Firefly III", { url: `${this.#BASE_URL}/api/v1/categories` });
+
+            const data = await this.#fetchAllPages("/api/v1/categories");
+
+            const categories = new Map();
+            data.forEach(category => {
+                categories.set(category.attributes.name, category.id);
+            });
 
-        this.#debugLog("Categories processed", { count: categories.size, categories: Array.from(categories.keys()) });
-        return categories;
+            this.#debugLog("Categories processed", { count: categories.size, categories: Array.from(categories.keys()) });
+            return categories;
+        });
     }
 
     async setCategory(transactionId, transactions, categoryId) {
@@ -92,10 +198,10 @@ export default class FireflyService {
         console.info("Transaction updated")
     }
 
-    async createWebhook(webhookUrl) {
+    async createWebhook(webhookUrl, trigger = "STORE_TRANSACTION") {
         const webhookData = {
-            title: "AI Categorizer",
-            trigger: "STORE_TRANSACTION",
+            title: trigger === "STORE_TRANSACTION" ? "AI Categorizer" : `AI Categorizer (${trigger})`,
+            trigger,
             response: "TRANSACTIONS", 
             delivery: "JSON",
             url: webhookUrl,
@@ -120,19 +226,9 @@ export default class FireflyService {
         return result.data;
     }
 
-    async checkExistingWebhook(webhookUrl) {
-        const response = await fetch(`${this.#BASE_URL}/api/v1/webhooks`, {
-            headers: {
-                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
-            }
-        });
-
-        if (!response.ok) {
-            throw new FireflyException(response.status, response, await response.text())
-        }
-
-        const data = await response.json();
-        return data.data.find(webhook => webhook.attributes.url === webhookUrl);
+    async checkExistingWebhook(webhookUrl, trigger = "STORE_TRANSACTION") {
+        const webhooks = await this.#fetchAllPages("/api/v1/webhooks");
+        return webhooks.find(webhook => webhook.attributes.url === webhookUrl && webhook.attributes.trigger === trigger);
     }
 
     async createCategory(categoryName) {
@@ -153,54 +249,65 @@ export default class FireflyService {
 
         const result = await response.json();
         console.info(`Nouvelle catégorie créée: ${categoryName} (ID: ${result.data.id})`);
+        this.invalidateCache("categories");
         return result.data.id;
     }
 
     async getDestinationAccounts() {
-        const response = await fetch(`${this.#BASE_URL}/api/v1/accounts?type=expense`, {
-            headers: {
-                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
-            }
+        return this.#cached("expenseAccounts", async () => {
+            const data = await this.#fetchAllPages("/api/v1/accounts?type=expense");
+
+            const accounts = new Map();
+            data.forEach(account => {
+                accounts.set(account.attributes.name, account.id);
+            });
+
+            return accounts;
         });
+    }
 
-        if (!response.ok) {
-            throw new FireflyException(response.status, response, await response.text())
-        }
+    // Comptes de revenus : source des dépôts (employeur, remboursements...)
+    async getRevenueAccounts() {
+        return this.#cached("revenueAccounts", async () => {
+            const data = await this.#fetchAllPages("/api/v1/accounts?type=revenue");
 
-        const data = await response.json();
-        const accounts = new Map();
-        data.data.forEach(account => {
-            accounts.set(account.attributes.name, account.id);
+            const accounts = new Map();
+            data.forEach(account => {
+                accounts.set(account.attributes.name, account.id);
+            });
+
+            return accounts;
         });
+    }
+
+    // Comptes de l'utilisateur, pour choisir les comptes d'un rattrapage
+    async getAssetAccounts() {
+        return this.#cached("assetAccounts", async () => {
+            const data = await this.#fetchAllPages("/api/v1/accounts?type=asset");
+
+            const accounts = new Map();
+            data.forEach(account => {
+                accounts.set(account.attributes.name, account.id);
+            });
 
-        return accounts;
+            return accounts;
+        });
     }
 
     async getBudgets() {
-        this.#debugLog("Fetching budgets from Firefly III", { url: `${this.#BASE_URL}/api/v1/budgets` });
-        
-        const response = await fetch(`${this.#BASE_URL}/api/v1/budgets`, {
-            headers: {
-                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
-            }
-        });
+        return this.#cached("budgets", async () => {
+            this.#debugLog("Fetching budgets from Firefly III", { url: `${this.#BASE_URL}/api/v1/budgets` });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            this.#debugLog("Error fetching budgets", { status: response.status, error: errorText });
-            throw new FireflyException(response.status, response, errorText)
-        }
+            const data = await this.#fetchAllPages("/api/v1/budgets");
 
-        const data = await response.json();
-        this.#debugLog("Budgets API response", { data });
+            const budgets = new Map();
+            data.forEach(budget => {
+                budgets.set(budget.attributes.name, budget.id);
+            });
 
-        const budgets = new Map();
-        data.data.forEach(budget => {
-            budgets.set(budget.attributes.name, budget.id);
+            this.#debugLog("Budgets processed", { count: budgets.size, budgets: Array.from(budgets.keys()) });
+            return budgets;
         });
-
-        this.#debugLog("Budgets processed", { count: budgets.size, budgets: Array.from(budgets.keys()) });
-        return budgets;
     }
 
     async createDestinationAccount(accountName) {
@@ -225,9 +332,33 @@ export default class FireflyService {
 
         const result = await response.json();
         console.info(`Nouveau compte destinataire créé: ${accountName} (ID: ${result.data.id})`);
+        this.invalidateCache("expenseAccounts");
         return result.data.id;
   }
 
+    async createRevenueAccount(accountName) {
+        const response = await fetch(`${this.#BASE_URL}/api/v1/accounts`, {
+            method: "POST",
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+                name: accountName,
+                type: "revenue",
+            })
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text())
+        }
+
+        const result = await response.json();
+        console.info(`Nouveau compte de revenus créé: ${accountName} (ID: ${result.data.id})`);
+        this.invalidateCache("revenueAccounts");
+        return result.data.id;
+    }
+
   async removeTagFromTransaction(transactionId, tagName) {
     this.#debugLog("Removing tag from transaction", { transactionId, tagName });
     
@@ -245,15 +376,14 @@ export default class FireflyService {
     }
 
     const data = await response.json();
-    const currentTags = data.data.attributes.tags || [];
-    
-    // Filtrer le tag à supprimer
-    const updatedTags = currentTags.filter(tag => tag.name !== tagName);
-    
-    this.#debugLog("Updated tags after removal", { 
-      originalTags: currentTags.map(t => t.name), 
-      updatedTags: updatedTags.map(t => t.name) 
-    });
+
+    // Filtrer le tag à supprimer dans chaque journal
+    const journals = data.data.attributes.transactions.map(journal => ({
+      transaction_journal_id: journal.transaction_journal_id,
+      tags: (journal.tags || []).filter(tag => tag !== tagName),
+    }));
+
+    this.#debugLog("Updated tags after removal", { journals });
 
     // Mettre à jour la transaction avec les nouveaux tags
     const updateResponse = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
@@ -265,10 +395,8 @@ export default class FireflyService {
       body: JSON.stringify({
         apply_rules: true,
         fire_webhooks: false, // Ne pas déclencher de webhook pour cette modification
-        transactions: [{
-          transaction_journal_id: data.data.attributes.transactions[0].transaction_journal_id,
-          tags: updatedTags
-        }]
+        // Tous les journaux, sinon Firefly III supprime les autres parties d'une transaction ventilée
+        transactions: journals
       })
     });
 
@@ -282,64 +410,83 @@ export default class FireflyService {
     this.#debugLog("Tag successfully removed", { transactionId, tagName });
   }
 
-  async getTransactionsWithTag(tagName, limit = 100) {
-    this.#debugLog("Fetching transactions with tag", { tagName, limit });
-    
-    // Récupérer les dernières transactions (les plus récentes en premier) avec les tags
-    const response = await fetch(`${this.#BASE_URL}/api/v1/transactions?limit=${limit}&order_by=created_at&order_direction=desc&include=tags`, {
+  async addTagToTransaction(transactionId, tagName) {
+    this.#debugLog("Adding tag to transaction", { transactionId, tagName });
+
+    const transaction = await this.getTransaction(transactionId);
+
+    // Conserver les tags existants de chaque journal
+    const transactions = transaction.attributes.transactions.map(journal => ({
+      transaction_journal_id: journal.transaction_journal_id,
+      tags: [...new Set([...(journal.tags || []), tagName])],
+    }));
+
+    const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
+      method: "PUT",
       headers: {
         Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
-      }
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        apply_rules: false,
+        fire_webhooks: false, // Ne pas déclencher de webhook pour cette modification
+        transactions,
+      })
     });
 
     if (!response.ok) {
       const errorText = await response.text();
-      this.#debugLog("Error fetching transactions", { status: response.status, error: errorText });
+      this.#debugLog("Error adding tag to transaction", { status: response.status, error: errorText });
       throw new FireflyException(response.status, response, errorText);
     }
 
-    const data = await response.json();
-    this.#debugLog("Transactions API response", { 
-      totalTransactions: data.data.length,
-      firstTransaction: data.data[0] ? {
-        id: data.data[0].id,
-        attributes: data.data[0].attributes
-      } : null
-    });
+    console.info(`Tag "${tagName}" ajouté à la transaction ${transactionId}`);
+  }
 
-    // Filtrer les transactions qui ont le tag requis
-    const filteredTransactions = data.data.filter(transaction => {
-      // Vérifier différentes structures possibles pour les tags
-      const tags1 = transaction.attributes.tags || [];
-      const tags2 = transaction.tags || [];
-      const tags3 = transaction.attributes.transactions?.[0]?.tags || [];
-      
-      this.#debugLog("Checking transaction tags", {
-        transactionId: transaction.id,
-        tags1: tags1.map(t => t.name || t),
-        tags2: tags2.map(t => t.name || t),
-        tags3: tags3.map(t => t.name || t),
-        lookingFor: tagName,
-        hasTag1: tags1.some(tag => (tag.name || tag) === tagName),
-        hasTag2: tags2.some(tag => (tag.name || tag) === tagName),
-        hasTag3: tags3.some(tag => (tag.name || tag) === tagName)
-      });
-      
-      return tags1.some(tag => (tag.name || tag) === tagName) ||
-             tags2.some(tag => (tag.name || tag) === tagName) ||
-             tags3.some(tag => (tag.name || tag) === tagName);
-    });
+  async getTransactionsWithTag(tagName, limit = 100) {
+    this.#debugLog("Fetching transactions with tag", { tagName, limit });
+
+    // Recherche côté serveur : toutes les transactions du tag, quelle que soit leur ancienneté
+    let transactions;
+    try {
+      transactions = await this.#fetchAllPages(`/api/v1/tags/${encodeURIComponent(tagName)}/transactions`, limit);
+    } catch (error) {
+      if (error.code === 404) {
+        this.#debugLog("Tag not found in Firefly III", { tagName });
+        return [];
+      }
+      throw error;
+    }
 
-    this.#debugLog("Filtered transactions", { 
-      total: data.data.length, 
-      filtered: filteredTransactions.length,
-      tagName 
+    this.#debugLog("Tagged transactions retrieved", {
+      tagName,
+      count: transactions.length,
+      transactionIds: transactions.map(transaction => transaction.id)
     });
 
-    return filteredTransactions;
+    return transactions;
   }
 
-  async setCategoryAndDestination(transactionId, transactions, categoryId, destinationAccountId) {
+  // Transactions d'une période (dates AAAA-MM-JJ incluses), de tous les comptes ou d'un seul.
+  // type : withdrawal, deposit, transfer ou all
+  async getTransactions({ start, end, type = "all", accountId = null }, limit = null) {
+    this.#debugLog("Fetching transactions", { start, end, type, accountId, limit });
+
+    const params = new URLSearchParams({ start, end, type });
+    const path = accountId
+      ? `/api/v1/accounts/${encodeURIComponent(accountId)}/transactions`
+      : "/api/v1/transactions";
+    const transactions = await this.#fetchAllPages(`${path}?${params}`, limit);
+
+    this.#debugLog("Transactions retrieved", { count: transactions.length, accountId });
+
+    return transactions;
+  }
+
+  // Une entrée par journal (partie d'une transaction ventilée), avec ses propres
+  // categoryId, destinationAccountId et budgetId. Tous les journaux doivent être envoyés :
+  // Firefly III supprime les parties absentes d'une transaction ventilée.
+  async setCategoryAndDestination(transactionId, transactions) {
         const tag = getConfigVariable("FIREFLY_TAG", "AI categorized");
 
         const body = {
@@ -349,23 +496,32 @@ export default class FireflyService {
         }
 
         transactions.forEach(transaction => {
-            let tags = transaction.tags;
-            if (!tags) {
-                tags = [];
+            // Ne pas modifier les tags du job, et ne pas ajouter le tag une seconde fois
+            const tags = (transaction.tags || []).filter(existingTag => typeof existingTag === "string");
+            if (!tags.includes(tag)) {
+                tags.push(tag);
             }
-            tags.push(tag);
 
             const transactionUpdate = {
                 transaction_journal_id: transaction.transaction_journal_id,
                 tags: tags,
             };
 
-            if (categoryId) {
-                transactionUpdate.category_id = categoryId;
+            if (transaction.categoryId) {
+                transactionUpdate.category_id = transaction.categoryId;
+            }
+
+            if (transaction.destinationAccountId) {
+                transactionUpdate.destination_id = transaction.destinationAccountId;
+            }
+
+            // Dépôts : le compte de revenus est la source
+            if (transaction.sourceAccountId) {
+                transactionUpdate.source_id = transaction.sourceAccountId;
             }
 
-            if (destinationAccountId) {
-                transactionUpdate.destination_id = destinationAccountId;
+            if (transaction.budgetId) {
+                transactionUpdate.budget_id = transaction.budgetId;
             }
 
             body.transactions.push(transactionUpdate);
@@ -388,31 +544,120 @@ export default class FireflyService {
         console.info("Transaction updated with category and destination account")
     }
 
-    async setBudget(transactionId, budgetId) {
-        this.#debugLog("Setting budget for transaction", { transactionId, budgetId });
-        
+    async getTransaction(transactionId) {
+        this.#debugLog("Fetching transaction", { transactionId });
+
+        const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            this.#debugLog("Error fetching transaction", { status: response.status, error: errorText });
+            throw new FireflyException(response.status, response, errorText);
+        }
+
+        const data = await response.json();
+        return data.data;
+    }
+
+    async restoreTransaction(transactionId, journals) {
+        this.#debugLog("Restoring transaction", { transactionId, journals });
+
+        // Un identifiant 0 retire la catégorie ou le budget dans Firefly III
+        const body = {
+            apply_rules: false,
+            fire_webhooks: false,
+            transactions: journals.map(journal => {
+                const transactionUpdate = {
+                    transaction_journal_id: journal.transaction_journal_id,
+                    category_id: journal.category_id || 0,
+                    budget_id: journal.budget_id || 0,
+                    tags: journal.tags || [],
+                };
+
+                if (journal.destination_id) {
+                    transactionUpdate.destination_id = journal.destination_id;
+                }
+
+                if (journal.source_id) {
+                    transactionUpdate.source_id = journal.source_id;
+                }
+
+                return transactionUpdate;
+            }),
+        };
+
         const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
             method: "PUT",
             headers: {
                 Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
                 "Content-Type": "application/json",
             },
-            body: JSON.stringify({
-                transactions: [{
-                    budget_id: budgetId
-                }]
-            })
+            body: JSON.stringify(body)
         });
 
         if (!response.ok) {
             const errorText = await response.text();
-            this.#debugLog("Error setting budget", { status: response.status, error: errorText });
+            this.#debugLog("Error restoring transaction", { status: response.status, error: errorText });
             throw new FireflyException(response.status, response, errorText);
         }
 
         await response.json();
-        console.info(`Budget ${budgetId} linked to transaction ${transactionId}`);
-        this.#debugLog("Budget successfully linked", { transactionId, budgetId });
+        console.info(`Transaction ${transactionId} restaurée`);
+    }
+
+    async isCategoryUsed(categoryId) {
+        return this.#hasTransactions(`/api/v1/categories/${categoryId}/transactions`);
+    }
+
+    async isAccountUsed(accountId) {
+        return this.#hasTransactions(`/api/v1/accounts/${accountId}/transactions`);
+    }
+
+    async deleteCategory(categoryId) {
+        await this.#delete(`/api/v1/categories/${categoryId}`);
+        console.info(`Catégorie supprimée (ID: ${categoryId})`);
+        this.invalidateCache("categories");
+    }
+
+    async deleteAccount(accountId) {
+        await this.#delete(`/api/v1/accounts/${accountId}`);
+        console.info(`Compte supprimé (ID: ${accountId})`);
+        this.invalidateCache("expenseAccounts");
+        this.invalidateCache("revenueAccounts");
+    }
+
+    async #hasTransactions(path) {
+        const response = await fetch(`${this.#BASE_URL}${path}?limit=1`, {
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text());
+        }
+
+        const data = await response.json();
+        return data.data.length > 0;
+    }
+
+    async #delete(path) {
+        this.#debugLog("Deleting resource", { path });
+
+        const response = await fetch(`${this.#BASE_URL}${path}`, {
+            method: "DELETE",
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text());
+        }
     }
 }
 
@@ -420,6 +665,7 @@ class FireflyException extends Error {
     code;
     response;
     body;
+    retryAfter;
 
     constructor(statusCode, response, body) {
         super(`Error while communicating with Firefly III: ${statusCode} - ${body}`);
@@ -427,5 +673,6 @@ class FireflyException extends Error {
         this.code = statusCode;
         this.response = response;
         this.body = body;
+        this.retryAfter = getRetryAfter(response?.headers);
     }
 }
\ No newline at end of file
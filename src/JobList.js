@@ -1,11 +1,25 @@
 import {v4 as uuid} from "uuid";
 import EventEmitter from "events";
+import fs from "fs";
+import path from "path";
 
 export default class JobList {
     #jobs = new Map();
     #eventEmitter = new EventEmitter();
+    #file;
+    #limit;
+    #maxAgeDays;
+    #appendedLines = 0;
 
-    constructor() {
+    // file: historique JSONL (une ligne par état de job, la dernière l'emporte)
+    constructor(file = null, limit = 500, maxAgeDays = 30) {
+        this.#file = file;
+        this.#limit = limit;
+        this.#maxAgeDays = maxAgeDays;
+
+        if (this.#file) {
+            this.#load();
+        }
     }
 
     on(event, listener) {
@@ -16,6 +30,10 @@ export default class JobList {
         return this.#jobs;
     }
 
+    getJob(id) {
+        return this.#jobs.get(id);
+    }
+
     createJob(data) {
         const id = uuid()
         const created = new Date();
@@ -23,11 +41,14 @@ export default class JobList {
         const job = {
             id,
             created,
+            updated: created,
             status: "queued",
             data,
         }
 
         this.#jobs.set(id, job);
+        this.#applyRetention();
+        this.#persist(job);
         this.#eventEmitter.emit('job created', {job, jobs: Array.from(this.#jobs.values())})
 
         return job;
@@ -36,25 +57,186 @@ export default class JobList {
     updateJobData(id, data) {
         const job = this.#jobs.get(id);
         job.data = data;
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#touch(job);
+    }
+
+    setJobQueued(id) {
+        const job = this.#jobs.get(id);
+        job.status = "queued";
+        delete job.error;
+        delete job.retry;
+        delete job.deadLetterId;
+        this.#touch(job);
+    }
+
+    // Erreur temporaire : la tâche sera réessayée à retry.nextAttempt
+    setJobRetrying(id, errorMessage, retry) {
+        const job = this.#jobs.get(id);
+        job.status = "retrying";
+        job.error = errorMessage;
+        job.retry = retry;
+        this.#touch(job);
     }
 
     setJobInProgress(id) {
         const job = this.#jobs.get(id);
         job.status = "in_progress";
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#touch(job);
     }
 
     setJobFinished(id) {
         const job = this.#jobs.get(id);
         job.status = "finished";
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        job.finished = new Date();
+        delete job.error;
+        delete job.retry;
+        this.#touch(job);
     }
 
-    setJobError(id, errorMessage) {
+    // deadLetterId : tâche en lettres mortes qui peut être remise dans la file
+    setJobError(id, errorMessage, deadLetterId = null) {
         const job = this.#jobs.get(id);
         job.status = "error";
         job.error = errorMessage;
+        job.finished = new Date();
+        delete job.retry;
+        if (deadLetterId) {
+            job.deadLetterId = deadLetterId;
+        }
+        this.#touch(job);
+    }
+
+    // Après un redémarrage, les jobs en cours sans tâche à reprendre dans la file sont perdus
+    markInterrupted(resumedJobIds = []) {
+        this.#jobs.forEach(job => {
+            if (["queued", "in_progress", "retrying"].includes(job.status) && !resumedJobIds.includes(job.id)) {
+                this.setJobError(job.id, "Interrupted by restart");
+            }
+        });
+    }
+
+    // Webhook déjà reçu ou transaction déjà traitée : rien n'est exécuté
+    setJobDuplicate(id, reason, originalJobId = null) {
+        const job = this.#jobs.get(id);
+        job.status = "duplicate";
+        job.reason = reason;
+        job.originalJobId = originalJobId;
+        job.finished = new Date();
+        this.#touch(job);
+    }
+
+    // Tâche retirée de la file avant son exécution (run annulé)
+    setJobCancelled(id) {
+        const job = this.#jobs.get(id);
+        job.status = "cancelled";
+        job.finished = new Date();
+        delete job.retry;
+        this.#touch(job);
+    }
+
+    // Avancement d'un run : compteurs de ses jobs enfants
+    setJobProgress(id, progress) {
+        const job = this.#jobs.get(id);
+        job.progress = progress;
+        this.#touch(job);
+    }
+
+    setJobPendingReview(id) {
+        const job = this.#jobs.get(id);
+        job.status = "pending_review";
+        this.#touch(job);
+    }
+
+    setJobDeclined(id) {
+        const job = this.#jobs.get(id);
+        job.status = "declined";
+        job.finished = new Date();
+        this.#touch(job);
+    }
+
+    setJobReverted(id) {
+        const job = this.#jobs.get(id);
+        job.status = "reverted";
+        this.#touch(job);
+    }
+
+    #touch(job) {
+        job.updated = new Date();
+        this.#persist(job);
         this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
     }
-}
\ No newline at end of file
+
+    #load() {
+        fs.mkdirSync(path.dirname(this.#file), {recursive: true});
+
+        if (!fs.existsSync(this.#file)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.#file, "utf8").split("\n");
+        lines.forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+
+            try {
+                const job = JSON.parse(line);
+                this.#jobs.set(job.id, job);
+            } catch (error) {
+                console.warn(`Ligne ignorée dans l'historique des jobs: ${error.message}`);
+            }
+        });
+
+        this.#applyRetention();
+        this.#compact();
+        console.log(`${this.#jobs.size} jobs chargés depuis ${this.#file}`);
+    }
+
+    // Les jobs en attente, en cours ou à valider ne sont jamais supprimés, quel que soit leur âge
+    #applyRetention() {
+        if (this.#maxAgeDays > 0) {
+            const minDate = Date.now() - this.#maxAgeDays * 24 * 60 * 60 * 1000;
+            this.#jobs.forEach((job, id) => {
+                if (!this.#isPending(job) && new Date(job.created).getTime() < minDate) {
+                    this.#jobs.delete(id);
+                }
+            });
+        }
+
+        if (this.#limit > 0 && this.#jobs.size > this.#limit) {
+            const oldest = Array.from(this.#jobs.values())
+                .filter(job => !this.#isPending(job))
+                .sort((a, b) => new Date(a.created) - new Date(b.created))
+                .slice(0, this.#jobs.size - this.#limit);
+            oldest.forEach(job => this.#jobs.delete(job.id));
+        }
+    }
+
+    #isPending(job) {
+        return ["queued", "in_progress", "retrying", "pending_review"].includes(job.status);
+    }
+
+    #persist(job) {
+        if (!this.#file) {
+            return;
+        }
+
+        fs.appendFileSync(this.#file, JSON.stringify(job) + "\n");
+        this.#appendedLines++;
+
+        // Réécrire le fichier quand il contient trop d'états obsolètes
+        if (this.#appendedLines > Math.max(this.#limit, 100) * 5) {
+            this.#compact();
+        }
+    }
+
+    #compact() {
+        const content = Array.from(this.#jobs.values())
+            .map(job => JSON.stringify(job) + "\n")
+            .join("");
+
+        fs.writeFileSync(`${this.#file}.tmp`, content);
+        fs.renameSync(`${this.#file}.tmp`, this.#file);
+        this.#appendedLines = 0;
+    }
+}
@@ -1,27 +1,34 @@
-export default class OllamaService {
+import { getConfigVariable, getRetryAfter } from "./util.js";
+import AiProvider from "./AiProvider.js";
+
+export default class OllamaService extends AiProvider {
   #baseUrl;
   #model;
-  #language;
+  #format;
 
   constructor(baseUrl = "http://localhost:11434", model = "llama3.2", language = "FR") {
+    super(language);
     this.#baseUrl = baseUrl;
     this.#model = model;
-    this.#language = language;
+    this.#format = getConfigVariable("OLLAMA_FORMAT", "json"); // json ou schema
   }
 
-  async classify(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
-    try {
-      const prompt = this.#generatePrompt(
-        categories,
-        destinationName,
-        description,
-        type,
-        existingAccounts,
-        autoDestinationAccount,
-        budgets,
-        autoBudget
-      );
+  static fromConfig(language) {
+    const baseUrl = getConfigVariable("OLLAMA_BASE_URL", "http://localhost:11434");
+    const model = getConfigVariable("OLLAMA_MODEL", "llama3.2");
+    const service = new OllamaService(baseUrl, model, language);
+
+    console.log(`Using Ollama with model: ${model}`);
+    service.debugLog("Ollama service initialized", { baseUrl, model, language });
+    return service;
+  }
+
+  get isRemote() {
+    return false;
+  }
 
+  async complete(prompt, { autoDestinationAccount = false, autoBudget = false, batchSize = 0 } = {}) {
+    try {
       const response = await fetch(`${this.#baseUrl}/api/generate`, {
         method: "POST",
         headers: {
@@ -31,10 +38,11 @@ export default class OllamaService {
           model: this.#model,
           prompt: prompt,
           stream: false,
+          format: this.#buildFormat(autoDestinationAccount, autoBudget, batchSize > 0),
           options: {
             temperature: 0.1,
             top_p: 0.9,
-            max_tokens: 50,
+            num_predict: batchSize ? 100 * batchSize + 100 : 300,
           },
         }),
       });
@@ -44,78 +52,55 @@ export default class OllamaService {
       }
 
       const result = await response.json();
-      let guess = result.response;
-      guess = guess.replace("\n", "");
-      guess = guess.trim();
-
-      // Pour l'instant, OllamaService ne supporte que la catégorisation simple
-      // Les fonctionnalités avancées (comptes destinataires et budgets) ne sont pas encore implémentées
-      const category = guess;
-      
-      if (categories.indexOf(category) === -1) {
-        console.warn(`Ollama could not classify the transaction. 
-                Prompt: ${prompt}
-                Ollama's guess: ${guess}
-                Available categories: ${categories.join(", ")}`);
-        return {
-          prompt,
-          response: result.response,
-          category: null,
-          suggestedCategory: category, // Retourner la catégorie suggérée pour création
-        };
-      }
-
-      return {
-        prompt,
-        response: result.response,
-        category: category,
-      };
+      return result.response;
     } catch (error) {
-      if (error.response) {
-        console.error(error.response.status);
-        console.error(error.response.data);
-        throw new OllamaException(
-          error.status,
-          error.response,
-          error.response.data
-        );
-      } else {
+      this.debugLog("Ollama error", {
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (error instanceof OllamaException) {
         console.error(error.message);
-        throw new OllamaException(null, null, error.message);
+        throw error;
       }
+
+      console.error(error.message);
+      throw new OllamaException(null, null, error.message);
     }
   }
 
-  #generatePrompt(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
-    const languageConfig = this.#getLanguageConfig(destinationName, description, type);
-    
-    return `
-${languageConfig.prompt}
-${languageConfig.instruction}
-${languageConfig.subjectLanguage}
-${languageConfig.question}
-The categories are: 
-
-${categories.join(", ")}
-`;
-  }
+  // Sortie structurée d'Ollama : "json" ou un schéma JSON (Ollama >= 0.5)
+  #buildFormat(autoDestinationAccount, autoBudget, batch = false) {
+    if (this.#format !== "schema") {
+      return "json";
+    }
+
+    const properties = batch
+      ? { id: { type: "string" }, category: { type: "string" } }
+      : { category: { type: "string" } };
 
-  #getLanguageConfig(destinationName, description, type) {
-    if (this.#language === "EN") {
-      return {
-        prompt: "I want to categorize transactions on my bank account.",
-        instruction: "Just output the name of the category. Does not have to be a complete sentence. Ignore any long string of numbers or special characters.",
-        subjectLanguage: "The subject is in English.",
-        question: `In which category would a transaction (${type}) from "${destinationName}" with the subject "${description}" fall into?`
-      };
-    } else { // FR (default)
-      return {
-        prompt: "Je veux catégoriser les transactions de mon compte bancaire.",
-        instruction: "Donne simplement le nom de la catégorie. Pas de phrase complète. Ignore toute longue chaîne de chiffres ou de caractères spéciaux.",
-        subjectLanguage: "Le sujet est en français.",
-        question: `Dans quelle catégorie une transaction (${type}) de "${destinationName}" avec le sujet "${description}" correspond-elle ?`
-      };
+    if (autoDestinationAccount) {
+      properties.destinationAccount = { type: "string" };
     }
+
+    if (autoBudget) {
+      properties.budget = { type: "string" };
+    }
+
+    properties.confidence = { type: "number" };
+
+    const schema = {
+      type: "object",
+      properties,
+      required: Object.keys(properties),
+    };
+
+    // Lot : { "transactions": [ ... ] }
+    return batch ? {
+      type: "object",
+      properties: { transactions: { type: "array", items: schema } },
+      required: ["transactions"],
+    } : schema;
   }
 }
 
@@ -123,6 +108,7 @@ class OllamaException extends Error {
   code;
   response;
   body;
+  retryAfter;
 
   constructor(statusCode, response, body) {
     super(`Error while communicating with Ollama: ${statusCode} - ${body}`);
@@ -130,5 +116,6 @@ class OllamaException extends Error {
     this.code = statusCode;
     this.response = response;
     this.body = body;
+    this.retryAfter = getRetryAfter(response?.headers);
   }
 }
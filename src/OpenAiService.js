@@ -1,106 +1,169 @@
-import OpenAI from "openai";
-import { getConfigVariable } from "./util.js";
+import OpenAI, { AzureOpenAI } from "openai";
+import { getConfigVariable, getRetryAfter } from "./util.js";
+import AiProvider from "./AiProvider.js";
 
-export default class OpenAiService {
+export default class OpenAiService extends AiProvider {
   #openAi;
+  #remote = true;
+  #logprobs = false;
   #model = "gpt-3.5-turbo-instruct"; // Using the instruct model
-  #language;
-  #DEBUG;
 
-  constructor(apiKey, model = "gpt-3.5-turbo-instruct", language = "FR") {
+  // options: baseURL et headers pour les serveurs compatibles OpenAI (LM Studio, vLLM, LocalAI, OpenRouter...),
+  // azure: { endpoint, deployment, apiVersion } pour Azure OpenAI
+  constructor(apiKey, model = "gpt-3.5-turbo-instruct", language = "FR", options = {}) {
+    super(language);
     this.#model = model;
-    this.#language = language;
-    this.#DEBUG = getConfigVariable("DEBUG", "false") === "true";
+    this.#logprobs = options.logprobs || false;
+
+    const defaultHeaders = options.headers || {};
+
+    if (options.azure?.endpoint) {
+      // Sans clé, le SDK lit AZURE_OPENAI_API_KEY et refuse de démarrer si elle est absente
+      this.#openAi = new AzureOpenAI({
+        apiKey: apiKey || undefined,
+        defaultHeaders,
+        baseURL: null, // sinon le SDK lit OPENAI_BASE_URL, incompatible avec endpoint
+        endpoint: options.azure.endpoint,
+        deployment: options.azure.deployment || model,
+        apiVersion: options.azure.apiVersion,
+      });
+    } else {
+      // Les serveurs locaux n'exigent pas de clé, mais le SDK en demande une
+      this.#openAi = new OpenAI({
+        apiKey: apiKey || "not-needed",
+        defaultHeaders,
+        baseURL: options.baseURL || undefined,
+      });
+      this.#remote = !options.baseURL || !OpenAiService.#isLocalUrl(options.baseURL);
+    }
+  }
 
-    this.#openAi = new OpenAI({
-      apiKey,
-    });
+  get isRemote() {
+    return this.#remote;
   }
 
-  #debugLog(message, data = null) {
-    if (this.#DEBUG) {
-      const timestamp = new Date().toISOString();
-      console.log(`[DEBUG OpenAiService ${timestamp}] ${message}`);
-      if (data) {
-        console.log(`[DEBUG OpenAiService ${timestamp}] Data:`, JSON.stringify(data, null, 2));
+  // Serveur sur la machine ou le réseau local (LM Studio, vLLM, LocalAI...)
+  static #isLocalUrl(url) {
+    try {
+      const hostname = new URL(url).hostname;
+
+      // IPv6 (entre crochets, forme normalisée par URL) : boucle locale, fc00::/7 et fe80::/10 seulement
+      if (hostname.startsWith("[")) {
+        const address = hostname.slice(1, -1);
+        return address === "::1" || /^f[cd][0-9a-f]{2}:/.test(address) || /^fe[89ab][0-9a-f]:/.test(address);
       }
+
+      // Un nom sans domaine est un service du réseau local (ex: nom de service Docker)
+      return hostname === "localhost" || hostname.endsWith(".local") ||
+        /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(hostname) ||
+        !hostname.includes(".");
+    } catch (error) {
+      return false;
     }
   }
 
-  async classify(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
-    try {
-      this.#debugLog("Starting AI classification", {
-        destinationName,
-        description,
-        type,
-        categoriesCount: categories.length,
-        existingAccountsCount: existingAccounts.length,
-        autoDestinationAccount,
-        budgetsCount: budgets.length,
-        autoBudget
-      });
+  static fromConfig(language) {
+    const model = getConfigVariable("OPENAI_MODEL", "gpt-3.5-turbo");
+    const baseURL = getConfigVariable("OPENAI_BASE_URL", "");
+    const azureEndpoint = getConfigVariable("AZURE_OPENAI_ENDPOINT", "");
+
+    // La clé n'est obligatoire que pour l'API OpenAI officielle ; pour Azure, AZURE_OPENAI_API_KEY peut la remplacer
+    const apiKey = baseURL || azureEndpoint
+      ? getConfigVariable("OPENAI_API_KEY", "")
+      : getConfigVariable("OPENAI_API_KEY");
+
+    const headers = OpenAiService.#parseHeaders(getConfigVariable("OPENAI_HEADERS", ""));
+
+    const service = new OpenAiService(apiKey, model, language, {
+      baseURL,
+      headers,
+      logprobs: getConfigVariable("OPENAI_LOGPROBS", "false") === "true",
+      azure: azureEndpoint ? {
+        endpoint: azureEndpoint,
+        deployment: getConfigVariable("AZURE_OPENAI_DEPLOYMENT", model),
+        apiVersion: getConfigVariable("AZURE_OPENAI_API_VERSION", "2024-10-21"),
+      } : null,
+    });
+
+    if (azureEndpoint) {
+      console.log(`Using Azure OpenAI at ${azureEndpoint} with model: ${model}`);
+    } else if (baseURL) {
+      console.log(`Using OpenAI-compatible endpoint ${baseURL} with model: ${model}`);
+    } else {
+      console.log(`Using OpenAI with model: ${model}`);
+    }
 
-      const prompt = this.#generatePrompt(
-        categories,
-        destinationName,
-        description,
-        type,
-        existingAccounts,
-        autoDestinationAccount,
-        budgets,
-        autoBudget
-      );
+    service.debugLog("OpenAI service initialized", {
+      model,
+      language,
+      baseURL: baseURL || null,
+      azureEndpoint: azureEndpoint || null,
+      headers: Object.keys(headers),
+      hasApiKey: !!apiKey
+    });
+    return service;
+  }
 
-      this.#debugLog("Generated prompt", { prompt });
+  // OPENAI_HEADERS : objet JSON, ex. {"HTTP-Referer": "https://example.com"}
+  static #parseHeaders(value) {
+    if (!value) {
+      return {};
+    }
 
+    try {
+      const headers = JSON.parse(value);
+      if (typeof headers !== "object" || headers === null || Array.isArray(headers)) {
+        throw new Error("expected a JSON object");
+      }
+      return headers;
+    } catch (error) {
+      throw new OpenAiException(null, null, `Invalid OPENAI_HEADERS: ${error.message}`);
+    }
+  }
+
+  // batchSize : nombre de transactions du prompt (classification par lot), pour dimensionner la réponse
+  async complete(prompt, { batchSize = 0 } = {}) {
+    try {
       let response;
       if (this.#usesNewMaxCompletionTokens()) {
         response = await this.#openAi.chat.completions.create({
-        model: this.#model,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_completion_tokens: 1500,
-      });
+          model: this.#model,
+          messages: [
+            {
+              role: "user",
+              content: prompt
+            }
+          ],
+          max_completion_tokens: 1500 + 100 * batchSize,
+          ...(this.#logprobs ? { logprobs: true } : {}),
+        });
       } else {
         response = await this.#openAi.chat.completions.create({
-        model: this.#model,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 150,
-      });
+          model: this.#model,
+          messages: [
+            {
+              role: "user",
+              content: prompt
+            }
+          ],
+          max_tokens: batchSize ? 100 * batchSize : 150,
+          ...(this.#logprobs ? { logprobs: true } : {}),
+        });
       }
 
-      let guess = response.choices[0].message.content;
-      guess = guess.replace("\n", "");
-      guess = guess.trim();
-
-      this.#debugLog("AI response received", { guess });
-
-      // Parse the response to extract category, destination account and budget
-      const result = this.#parseResponse(guess, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget);
-
-      this.#debugLog("Parsed result", result);
+      const choice = response.choices[0];
+      if (this.#logprobs && choice.logprobs?.content) {
+        return { content: choice.message.content, logprobs: choice.logprobs.content };
+      }
 
-      return {
-        prompt,
-        response: response.choices[0].message.content,
-        ...result
-      };
+      return choice.message.content;
     } catch (error) {
-      this.#debugLog("OpenAI error", {
+      this.debugLog("OpenAI error", {
         error: error.message,
         stack: error.stack,
         response: error.response?.data
       });
-      
+
       if (error.response) {
         console.error(error.response.status);
         console.error(error.response.data);
@@ -109,6 +172,15 @@ export default class OpenAiService {
           error.response,
           error.response.data
         );
+      } else if (error.status) {
+        // Erreur HTTP du SDK openai v4 : status et headers sur l'erreur elle-même
+        console.error(error.status, error.message);
+        throw new OpenAiException(
+          error.status,
+          null,
+          error.message,
+          getRetryAfter(error.headers)
+        );
       } else {
         console.error(error.message);
         throw new OpenAiException(null, null, error.message);
@@ -116,38 +188,6 @@ export default class OpenAiService {
     }
   }
 
-  #generatePrompt(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
-    const languageConfig = this.#getLanguageConfig(destinationName, description, type, existingAccounts, autoDestinationAccount, budgets, autoBudget);
-    
-    let prompt = `
-${languageConfig.prompt}
-${languageConfig.instruction}
-${languageConfig.subjectLanguage}
-${languageConfig.question}
-The categories are: 
-
-${categories.join(", ")}
-`;
-
-    if (autoDestinationAccount && existingAccounts.length > 0) {
-      prompt += `
-
-${languageConfig.accountInstruction}
-${languageConfig.accountsList}
-`;
-    }
-
-    if (autoBudget && budgets.length > 0) {
-      prompt += `
-
-${languageConfig.budgetInstruction}
-${languageConfig.budgetsList}
-`;
-    }
-
-    return prompt;
-  }
-
   #usesNewMaxCompletionTokens(){
     const normalizedModel = this.#model.toLowerCase();
     return (
@@ -157,180 +197,20 @@ ${languageConfig.budgetsList}
       normalizedModel.startsWith("gpt-4o")
     )
   }
-
-  #getLanguageConfig(destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
-    // Gérer le cas où destinationName est null ou "(unknown destination account)"
-    const hasValidDestination = destinationName && destinationName !== "(unknown destination account)";
-    const destinationText = hasValidDestination ? `de "${destinationName}"` : "";
-    const destinationTextEN = hasValidDestination ? `from "${destinationName}"` : "";
-    
-    if (this.#language === "EN") {
-      return {
-        prompt: "I want to categorize transactions on my bank account.",
-        instruction: this.#buildInstruction(autoDestinationAccount, autoBudget),
-        subjectLanguage: "The subject is in English.",
-        question: `In which category would a transaction (${type}) ${destinationTextEN} with the subject "${description}" fall into?`,
-        accountInstruction: autoDestinationAccount ? "Also suggest the most appropriate destination account from the list below, or suggest a new account name if none match. Use only the company/merchant name:" : "",
-        accountsList: autoDestinationAccount ? existingAccounts.join(", ") : "",
-        budgetInstruction: autoBudget ? "Also suggest the most appropriate budget from the list below based on the category. Use only the budget name:" : "",
-        budgetsList: autoBudget ? budgets.join(", ") : ""
-      };
-    } else { // FR (default)
-      return {
-        prompt: "Je veux catégoriser les transactions de mon compte bancaire.",
-        instruction: this.#buildInstruction(autoDestinationAccount, autoBudget),
-        subjectLanguage: "Le sujet est en français.",
-        question: `Dans quelle catégorie une transaction (${type}) ${destinationText} avec le sujet "${description}" correspond-elle ?`,
-        accountInstruction: autoDestinationAccount ? "Suggère aussi le compte destinataire le plus approprié dans la liste ci-dessous, ou suggère un nouveau nom de compte si aucun ne correspond. Utilise seulement le nom de l'entreprise/merchant:" : "",
-        accountsList: autoDestinationAccount ? existingAccounts.join(", ") : "",
-        budgetInstruction: autoBudget ? "Suggère aussi le budget le plus approprié dans la liste ci-dessous basé sur la catégorie. Utilise seulement le nom du budget:" : "",
-        budgetsList: autoBudget ? budgets.join(", ") : ""
-      };
-    }
-  }
-
-  #buildInstruction(autoDestinationAccount, autoBudget) {
-    const fields = ['"category": "Category name"'];
-    
-    if (autoDestinationAccount) {
-      fields.push('"destinationAccount": "Account name"');
-    }
-    
-    if (autoBudget) {
-      fields.push('"budget": "Budget name"');
-    }
-    
-    const jsonFormat = `{\n  ${fields.join(',\n  ')}\n}`;
-    
-    if (this.#language === "EN") {
-      return `Respond ONLY in the following JSON format:\n${jsonFormat}\nFor the account name, use only the company/merchant/entity name (e.g., 'Amazon', 'Generali', 'McDonald's'), not the category + company name. For the budget, choose the most appropriate budget based on the category.`;
-    } else {
-      return `Réponds UNIQUEMENT au format JSON suivant:\n${jsonFormat}\nPour le nom du compte, utilise seulement le nom de l'entreprise/merchant/entité (ex: 'Amazon', 'Generali', 'McDonald's'), pas la catégorie + nom d'entreprise. Pour le budget, choisis le budget le plus approprié basé sur la catégorie.`;
-    }
-  }
-
-  #parseResponse(response, categories, existingAccounts, autoDestinationAccount, budgets = [], autoBudget = false) {
-    this.#debugLog("Parsing AI response", { response, autoDestinationAccount, autoBudget });
-
-    try {
-      // Essayer de parser le JSON directement
-      const jsonResponse = JSON.parse(response);
-      
-      const category = jsonResponse.category;
-      const destinationAccount = jsonResponse.destinationAccount;
-      const budget = jsonResponse.budget;
-      
-      const result = {
-        category: categories.indexOf(category) !== -1 ? category : null,
-        suggestedCategory: categories.indexOf(category) === -1 ? category : null
-      };
-
-      if (autoDestinationAccount) {
-        result.destinationAccount = existingAccounts.indexOf(destinationAccount) !== -1 ? destinationAccount : null;
-        result.suggestedDestinationAccount = existingAccounts.indexOf(destinationAccount) === -1 ? destinationAccount : null;
-      }
-
-      if (autoBudget) {
-        result.budget = budgets.indexOf(budget) !== -1 ? budget : null;
-        result.suggestedBudget = budgets.indexOf(budget) === -1 ? budget : null;
-      }
-
-      return result;
-    } catch (jsonError) {
-      this.#debugLog("JSON parsing failed, trying fallback", { 
-        error: jsonError.message, 
-        response 
-      });
-
-      // Fallback : essayer d'extraire le JSON du texte
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const jsonResponse = JSON.parse(jsonMatch[0]);
-          
-          const category = jsonResponse.category;
-          const destinationAccount = jsonResponse.destinationAccount;
-          const budget = jsonResponse.budget;
-          
-          const result = {
-            category: categories.indexOf(category) !== -1 ? category : null,
-            suggestedCategory: categories.indexOf(category) === -1 ? category : null
-          };
-
-          if (autoDestinationAccount) {
-            result.destinationAccount = existingAccounts.indexOf(destinationAccount) !== -1 ? destinationAccount : null;
-            result.suggestedDestinationAccount = existingAccounts.indexOf(destinationAccount) === -1 ? destinationAccount : null;
-          }
-
-          if (autoBudget) {
-            result.budget = budgets.indexOf(budget) !== -1 ? budget : null;
-            result.suggestedBudget = budgets.indexOf(budget) === -1 ? budget : null;
-          }
-
-          return result;
-        } catch (fallbackError) {
-          this.#debugLog("Fallback JSON parsing also failed", { 
-            error: fallbackError.message,
-            jsonMatch: jsonMatch[0]
-          });
-        }
-      }
-
-      // Dernier recours : traiter comme du texte simple
-      const cleanResponse = response.trim();
-      
-      // Mode avancé avec texte simple - essayer de séparer par "|"
-      const parts = cleanResponse.split('|');
-      if (parts.length >= 2) {
-        const [category, account, budget] = parts.map(part => part.trim());
-        
-        const result = {
-          category: categories.indexOf(category) !== -1 ? category : null,
-          suggestedCategory: categories.indexOf(category) === -1 ? category : null
-        };
-
-        if (autoDestinationAccount && account) {
-          result.destinationAccount = existingAccounts.indexOf(account) !== -1 ? account : null;
-          result.suggestedDestinationAccount = existingAccounts.indexOf(account) === -1 ? account : null;
-        }
-
-        if (autoBudget && budget) {
-          result.budget = budgets.indexOf(budget) !== -1 ? budget : null;
-          result.suggestedBudget = budgets.indexOf(budget) === -1 ? budget : null;
-        }
-
-        return result;
-      }
-
-      // Si pas de séparateur, traiter comme une catégorie simple
-      const result = {
-        category: categories.indexOf(cleanResponse) !== -1 ? cleanResponse : null,
-        suggestedCategory: categories.indexOf(cleanResponse) === -1 ? cleanResponse : null
-      };
-
-      if (autoDestinationAccount) {
-        result.destinationAccount = null;
-      }
-
-      if (autoBudget) {
-        result.budget = null;
-      }
-
-      return result;
-    }
-  }
 }
 
 class OpenAiException extends Error {
   code;
   response;
   body;
+  retryAfter;
 
-  constructor(statusCode, response, body) {
+  constructor(statusCode, response, body, retryAfter = null) {
     super(`Error while communicating with OpenAI: ${statusCode} - ${body}`);
 
     this.code = statusCode;
     this.response = response;
     this.body = body;
+    this.retryAfter = retryAfter;
   }
 }
@@ -0,0 +1,60 @@
+// Masque les données personnelles d'un texte avant son envoi à un fournisseur d'IA.
+// Chaque valeur est remplacée par un marqueur numéroté ([IBAN_1], [NAME_2]...) qui peut être
+// restauré dans la réponse du modèle, pour que les noms de comptes proposés restent exploitables.
+const PATTERNS = [
+  { type: "EMAIL", regex: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  { type: "IBAN", regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  { type: "CARD", regex: /\b(?:\d{4}[ -]?){3}\d{1,7}\b|\b(?:X{4}[ -]?|\*{4}[ -]?){1,3}\d{4}\b/gi },
+  // Au moins 9 chiffres pour ne pas masquer les dates et montants
+  { type: "PHONE", regex: /(?:\+|\b00)[1-9]\d{0,2}(?:[\s./-]?\d{1,4}){2,5}\b|\b0\d(?:[\s./-]?\d{2,4}){3,4}\b/g, minDigits: 9 },
+];
+
+export default class PiiRedactor {
+  #patterns;
+
+  constructor(names = []) {
+    this.#patterns = [...PATTERNS];
+
+    const escapedNames = names
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"));
+
+    if (escapedNames.length > 0) {
+      this.#patterns.push({ type: "NAME", regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${escapedNames.join("|")})(?![\\p{L}\\p{N}])`, "giu") });
+    }
+  }
+
+  // Retourne le texte masqué, la liste des marqueurs (sans les valeurs) et une fonction de restauration
+  redact(text) {
+    const values = new Map(); // valeur -> marqueur
+    const counters = {};
+
+    let redacted = text;
+    this.#patterns.forEach(({ type, regex, minDigits }) => {
+      redacted = redacted.replace(regex, match => {
+        if (minDigits && match.replace(/\D/g, "").length < minDigits) {
+          return match;
+        }
+
+        const key = type === "NAME" ? match.toLowerCase().replace(/\s+/g, " ") : match;
+        if (!values.has(key)) {
+          counters[type] = (counters[type] || 0) + 1;
+          values.set(key, { placeholder: `[${type}_${counters[type]}]`, value: match, type });
+        }
+        return values.get(key).placeholder;
+      });
+    });
+
+    const entries = Array.from(values.values());
+
+    return {
+      text: redacted,
+      redactions: entries.map(({ type, placeholder }) => ({ type, placeholder })),
+      restore: response => entries.reduce(
+        (restored, { placeholder, value }) => restored.split(placeholder).join(value),
+        response
+      ),
+    };
+  }
+}
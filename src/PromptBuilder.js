@@ -0,0 +1,223 @@
+export default class PromptBuilder {
+  #language;
+
+  constructor(language = "FR") {
+    this.#language = language;
+  }
+
+  build(categories, destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false, examples = [], context = {}) {
+    const languageConfig = this.#getLanguageConfig(destinationName, description, type, existingAccounts, autoDestinationAccount, budgets, autoBudget);
+    const details = this.#formatDetails(context);
+
+    let prompt = `
+${languageConfig.prompt}
+${languageConfig.instruction}
+${languageConfig.subjectLanguage}
+${languageConfig.question}${details ? `\n${details}` : ""}
+The categories are: 
+
+${categories.join(", ")}
+`;
+
+    if (examples.length > 0) {
+      prompt += `
+
+${languageConfig.examplesInstruction}
+${examples.map(example => this.#formatExample(example)).join("\n")}
+`;
+    }
+
+    if (autoDestinationAccount && existingAccounts.length > 0) {
+      prompt += `
+
+${languageConfig.accountInstruction}
+${languageConfig.accountsList}
+`;
+    }
+
+    if (autoBudget && budgets.length > 0) {
+      prompt += `
+
+${languageConfig.budgetInstruction}
+${languageConfig.budgetsList}
+`;
+    }
+
+    return prompt;
+  }
+
+  // Plusieurs transactions du même type dans un seul prompt ; chacune est identifiée par son id,
+  // repris dans la réponse. transactions : [{ id, destinationName, description, type, context }]
+  buildBatch(categories, transactions, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false, examples = []) {
+    const type = transactions[0]?.type;
+    const languageConfig = this.#getLanguageConfig(null, "", type, existingAccounts, autoDestinationAccount, budgets, autoBudget);
+    const instruction = this.#buildInstruction(autoDestinationAccount, autoBudget, true);
+    const lines = transactions.map(transaction => JSON.stringify({
+      id: transaction.id,
+      type: transaction.type,
+      counterparty: transaction.destinationName || undefined,
+      subject: transaction.description,
+      ...transaction.context,
+    }));
+
+    let prompt = `
+${languageConfig.prompt}
+${instruction}
+${languageConfig.subjectLanguage}
+${this.#language === "EN" ? "The transactions are:" : "Les transactions sont :"}
+
+${lines.join("\n")}
+
+The categories are: 
+
+${categories.join(", ")}
+`;
+
+    if (examples.length > 0) {
+      prompt += `
+
+${languageConfig.examplesInstruction}
+${examples.map(example => this.#formatExample(example)).join("\n")}
+`;
+    }
+
+    if (autoDestinationAccount && existingAccounts.length > 0) {
+      prompt += `
+
+${languageConfig.accountInstruction}
+${languageConfig.accountsList}
+`;
+    }
+
+    if (autoBudget && budgets.length > 0) {
+      prompt += `
+
+${languageConfig.budgetInstruction}
+${languageConfig.budgetsList}
+`;
+    }
+
+    return prompt;
+  }
+
+  // destinationName est le tiers de la transaction : bénéficiaire d'une dépense, payeur d'un dépôt,
+  // compte de destination d'un virement
+  #getLanguageConfig(destinationName, description, type, existingAccounts = [], autoDestinationAccount = false, budgets = [], autoBudget = false) {
+    // Gérer le cas où destinationName est null ou "(unknown destination account)"
+    const hasValidDestination = destinationName && destinationName !== "(unknown destination account)";
+    const destinationText = hasValidDestination ? `de "${destinationName}"` : "";
+    const destinationTextEN = hasValidDestination ? `from "${destinationName}"` : "";
+
+    if (this.#language === "EN") {
+      return {
+        prompt: "I want to categorize transactions on my bank account.",
+        instruction: this.#buildInstruction(autoDestinationAccount, autoBudget),
+        subjectLanguage: "The subject is in English.",
+        question: this.#questionEN(type, hasValidDestination ? destinationName : null, description, destinationTextEN),
+        accountInstruction: !autoDestinationAccount ? "" : type === "deposit"
+          ? "Also suggest the most appropriate source account (who paid me) from the list below, or suggest a new account name if none match. Use only the company/person name:"
+          : "Also suggest the most appropriate destination account from the list below, or suggest a new account name if none match. Use only the company/merchant name:",
+        accountsList: autoDestinationAccount ? existingAccounts.join(", ") : "",
+        budgetInstruction: autoBudget ? "Also suggest the most appropriate budget from the list below based on the category. Use only the budget name:" : "",
+        budgetsList: autoBudget ? budgets.join(", ") : "",
+        examplesInstruction: "Here are similar transactions I categorized myself. Follow them when they apply:"
+      };
+    } else { // FR (default)
+      return {
+        prompt: "Je veux catégoriser les transactions de mon compte bancaire.",
+        instruction: this.#buildInstruction(autoDestinationAccount, autoBudget),
+        subjectLanguage: "Le sujet est en français.",
+        question: this.#questionFR(type, hasValidDestination ? destinationName : null, description, destinationText),
+        accountInstruction: !autoDestinationAccount ? "" : type === "deposit"
+          ? "Suggère aussi le compte source le plus approprié (qui m'a payé) dans la liste ci-dessous, ou suggère un nouveau nom de compte si aucun ne correspond. Utilise seulement le nom de l'entreprise/personne:"
+          : "Suggère aussi le compte destinataire le plus approprié dans la liste ci-dessous, ou suggère un nouveau nom de compte si aucun ne correspond. Utilise seulement le nom de l'entreprise/merchant:",
+        accountsList: autoDestinationAccount ? existingAccounts.join(", ") : "",
+        budgetInstruction: autoBudget ? "Suggère aussi le budget le plus approprié dans la liste ci-dessous basé sur la catégorie. Utilise seulement le nom du budget:" : "",
+        budgetsList: autoBudget ? budgets.join(", ") : "",
+        examplesInstruction: "Voici des transactions similaires que j'ai catégorisées moi-même. Suis-les quand elles s'appliquent :"
+      };
+    }
+  }
+
+  #questionEN(type, counterparty, description, destinationTextEN) {
+    switch (type) {
+      case "withdrawal":
+        return `In which category would an expense${counterparty ? ` paid to "${counterparty}"` : ""} with the subject "${description}" fall into?`;
+      case "deposit":
+        return `In which category would an income${counterparty ? ` received from "${counterparty}"` : ""} with the subject "${description}" fall into?`;
+      case "transfer":
+        return `In which category would a transfer between my own accounts${counterparty ? `, to "${counterparty}",` : ""} with the subject "${description}" fall into?`;
+      default:
+        return `In which category would a transaction (${type}) ${destinationTextEN} with the subject "${description}" fall into?`;
+    }
+  }
+
+  #questionFR(type, counterparty, description, destinationText) {
+    switch (type) {
+      case "withdrawal":
+        return `Dans quelle catégorie une dépense${counterparty ? ` payée à "${counterparty}"` : ""} avec le sujet "${description}" correspond-elle ?`;
+      case "deposit":
+        return `Dans quelle catégorie un revenu${counterparty ? ` reçu de "${counterparty}"` : ""} avec le sujet "${description}" correspond-il ?`;
+      case "transfer":
+        return `Dans quelle catégorie un virement entre mes propres comptes${counterparty ? `, vers "${counterparty}",` : ""} avec le sujet "${description}" correspond-il ?`;
+      default:
+        return `Dans quelle catégorie une transaction (${type}) ${destinationText} avec le sujet "${description}" correspond-elle ?`;
+    }
+  }
+
+  // Détails absents ou désactivés (PROMPT_FIELDS) : rien n'est ajouté au prompt
+  #formatDetails({ amount, currency, date, sourceAccount, notes } = {}) {
+    const labels = this.#language === "EN"
+      ? { title: "Details", amount: "amount", date: "date", sourceAccount: "paid from my account", notes: "notes" }
+      : { title: "Détails", amount: "montant", date: "date", sourceAccount: "payé depuis mon compte", notes: "notes" };
+
+    const details = [];
+    if (amount) {
+      details.push(`${labels.amount} ${amount}${currency ? ` ${currency}` : ""}`);
+    } else if (currency) {
+      details.push(currency);
+    }
+    if (date) {
+      details.push(`${labels.date} ${date}`);
+    }
+    if (sourceAccount) {
+      details.push(`${labels.sourceAccount} "${sourceAccount}"`);
+    }
+    if (notes) {
+      details.push(`${labels.notes} "${notes}"`);
+    }
+
+    return details.length > 0 ? `${labels.title}: ${details.join(", ")}` : "";
+  }
+
+  #formatExample(example) {
+    const destination = example.destinationName ? ` (${example.destinationName})` : "";
+    return `- "${example.description}"${destination} → ${example.category}`;
+  }
+
+  #buildInstruction(autoDestinationAccount, autoBudget, batch = false) {
+    const fields = batch ? ['"id": "1"', '"category": "Category name"'] : ['"category": "Category name"'];
+
+    if (autoDestinationAccount) {
+      fields.push('"destinationAccount": "Account name"');
+    }
+
+    if (autoBudget) {
+      fields.push('"budget": "Budget name"');
+    }
+
+    fields.push('"confidence": 0.0');
+
+    const jsonFormat = batch
+      ? `{\n  "transactions": [\n    {\n      ${fields.join(',\n      ')}\n    }\n  ]\n}`
+      : `{\n  ${fields.join(',\n  ')}\n}`;
+
+    if (this.#language === "EN") {
+      const batchInstruction = batch ? "\nAdd one entry per transaction, with the same \"id\" as the transaction." : "";
+      return `Respond ONLY in the following JSON format:\n${jsonFormat}${batchInstruction}\nFor the account name, use only the company/merchant/entity name (e.g., 'Amazon', 'Generali', 'McDonald's'), not the category + company name. For the budget, choose the most appropriate budget based on the category. Set "confidence" between 0 and 1 to say how sure you are of the category.`;
+    } else {
+      const batchInstruction = batch ? "\nAjoute une entrée par transaction, avec le même \"id\" que la transaction." : "";
+      return `Réponds UNIQUEMENT au format JSON suivant:\n${jsonFormat}${batchInstruction}\nPour le nom du compte, utilise seulement le nom de l'entreprise/merchant/entité (ex: 'Amazon', 'Generali', 'McDonald's'), pas la catégorie + nom d'entreprise. Pour le budget, choisis le budget le plus approprié basé sur la catégorie. Indique dans "confidence" entre 0 et 1 à quel point tu es sûr de la catégorie.`;
+    }
+  }
+}
@@ -1,47 +1,281 @@
-// import EventEmitter from "events"
-// import uuid from "uuid";
-//
-// export default class Queue {
-//     #jobs = new Map();
-//
-//     #eventEmitter;
-//
-//     constructor() {
-//         this.#eventEmitter = new EventEmitter()
-//     }
-//
-//     addJob(job) {
-//         const id = uuid()
-//         job.id = id;
-//         job.created = new Date();
-//         job.status = "queued";
-//
-//         this.#jobs.set(id, job);
-//         this.#eventEmitter.emit("job added", this.#jobs);
-//     }
-//
-//     nextJob() {
-//         const openJobsSorted = Array.from(this.#jobs.values())
-//             .filter(job => job.status === "queued")
-//             .sort((a, b) => {
-//                 return a.created - b.created;
-//             });
-//
-//         if (openJobsSorted.length === 0) {
-//             return false
-//         }
-//
-//         this.#jobs.get(openJobsSorted[0].id).status = "in progress";
-//         return this.#jobs.get(openJobsSorted[0].id);
-//     }
-//
-//     finishJob(id) {
-//         const job = this.#jobs.get(id);
-//         job.status = "finished";
-//         this.#jobs.set(id, job);
-//     }
-//
-//     count() {
-//         return this.#jobs.length;
-//     }
-// }
\ No newline at end of file
+import {v4 as uuid} from "uuid";
+import EventEmitter from "events";
+import fs from "fs";
+import path from "path";
+
+// Erreurs des services externes qui peuvent réussir en réessayant (réseau, limite de débit, panne)
+const TRANSIENT_EXCEPTIONS = ["OpenAiException", "OllamaException", "FireflyException"];
+const TRANSIENT_STATUS_CODES = [408, 425, 429];
+
+// File de tâches persistante, exécutées une par une. Une tâche est un nom de handler et des données
+// sérialisables, pour pouvoir reprendre après un redémarrage. Les erreurs temporaires sont réessayées
+// avec un délai exponentiel (ou le Retry-After du service), les autres finissent en lettres mortes.
+export default class Queue {
+    #tasks = [];
+    #deadLetters = [];
+    #handlers = new Map();
+    #eventEmitter = new EventEmitter();
+    #file;
+    #maxAttempts;
+    #retryDelay;
+    #maxRetryDelay;
+    #timeout;
+    #deadLetterLimit;
+    #started = false;
+    #running = false;
+    #current = null;
+    #timer = null;
+
+    // Délais en millisecondes
+    constructor(file = null, {maxAttempts = 5, retryDelay = 30000, maxRetryDelay = 3600000, timeout = 30000, deadLetterLimit = 500} = {}) {
+        this.#file = file;
+        this.#maxAttempts = maxAttempts;
+        this.#retryDelay = retryDelay;
+        this.#maxRetryDelay = maxRetryDelay;
+        this.#timeout = timeout;
+        this.#deadLetterLimit = deadLetterLimit;
+
+        if (this.#file) {
+            this.#load();
+        }
+    }
+
+    on(event, listener) {
+        this.#eventEmitter.on(event, listener);
+    }
+
+    // handler(payload, task, signal) ; signal est interrompu quand la tâche expire : le handler, qui continue
+    // de s'exécuter, doit le vérifier avant d'écrire quoi que ce soit.
+    // timeout : délai propre à ce handler (millisecondes), sinon celui de la file
+    register(name, handler, {timeout = this.#timeout} = {}) {
+        this.#handlers.set(name, {handler, timeout});
+    }
+
+    // jobIds : job(s) de l'historique concernés par la tâche (identifiant ou tableau)
+    push(name, payload = {}, jobIds = []) {
+        const task = {
+            id: uuid(),
+            name,
+            payload,
+            jobIds: [].concat(jobIds ?? []),
+            attempts: 0,
+            created: new Date(),
+            runAt: new Date(),
+            error: null,
+        };
+
+        this.#tasks.push(task);
+        this.#persist();
+        this.#next();
+
+        return task;
+    }
+
+    getTasks() {
+        return this.#tasks;
+    }
+
+    getDeadLetters() {
+        return this.#deadLetters;
+    }
+
+    // Identifiants des jobs qui ont encore une tâche à exécuter
+    getJobIds() {
+        return this.#tasks.flatMap(task => task.jobIds);
+    }
+
+    requeue(id) {
+        const task = this.#deadLetters.find(deadLetter => deadLetter.id === id);
+        if (!task) {
+            return null;
+        }
+
+        this.#deadLetters = this.#deadLetters.filter(deadLetter => deadLetter.id !== id);
+        Object.assign(task, {attempts: 0, runAt: new Date(), error: null});
+        delete task.failed;
+        this.#tasks.push(task);
+        this.#persist();
+        this.#eventEmitter.emit("requeued", task);
+        this.#next();
+
+        return task;
+    }
+
+    // Retire les tâches en attente qui correspondent ; la tâche en cours d'exécution se termine normalement
+    remove(predicate) {
+        const removed = this.#tasks.filter(task => task !== this.#current && predicate(task));
+        if (removed.length === 0) {
+            return [];
+        }
+
+        this.#tasks = this.#tasks.filter(task => !removed.includes(task));
+        this.#persist();
+        this.#next();
+
+        return removed;
+    }
+
+    // À appeler une fois les handlers enregistrés : reprend les tâches restées dans le fichier
+    start() {
+        this.#started = true;
+        if (this.#tasks.length > 0) {
+            console.log(`${this.#tasks.length} tâches reprises depuis ${this.#file}`);
+        }
+        this.#next();
+    }
+
+    getStats() {
+        return {
+            pending: this.#tasks.length,
+            retrying: this.#tasks.filter(task => task.attempts > 0).length,
+            deadLetters: this.#deadLetters.length,
+            running: this.#running,
+        };
+    }
+
+    #next() {
+        if (!this.#started || this.#running) {
+            return;
+        }
+
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        // La plus ancienne tâche prête ; une tâche en attente de nouvel essai ne bloque pas les suivantes
+        const task = this.#tasks
+            .slice()
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))[0];
+        if (!task) {
+            return;
+        }
+
+        const wait = new Date(task.runAt).getTime() - Date.now();
+        if (wait > 0) {
+            this.#timer = setTimeout(() => this.#next(), wait);
+            return;
+        }
+
+        this.#run(task);
+    }
+
+    async #run(task) {
+        this.#running = true;
+        this.#current = task;
+        task.attempts++;
+        this.#persist();
+        this.#eventEmitter.emit("start", task);
+
+        try {
+            const registration = this.#handlers.get(task.name);
+            if (!registration) {
+                throw new QueueException(`No handler registered for task "${task.name}"`);
+            }
+
+            const controller = new AbortController();
+            await this.#withTimeout(registration.handler(task.payload, task, controller.signal), registration.timeout, controller);
+
+            this.#tasks = this.#tasks.filter(pending => pending.id !== task.id);
+            this.#persist();
+            this.#eventEmitter.emit("success", task);
+        } catch (error) {
+            task.error = error.message;
+
+            if (Queue.isTransient(error) && task.attempts < this.#maxAttempts) {
+                const delay = this.#delay(task.attempts, error.retryAfter);
+                task.runAt = new Date(Date.now() + delay);
+                this.#persist();
+                this.#eventEmitter.emit("retry", {task, error, delay});
+            } else {
+                this.#tasks = this.#tasks.filter(pending => pending.id !== task.id);
+                task.failed = new Date();
+                this.#deadLetters.push(task);
+                this.#deadLetters = this.#deadLetters.slice(-this.#deadLetterLimit);
+                this.#persist();
+                this.#eventEmitter.emit("dead letter", {task, error});
+            }
+        } finally {
+            this.#running = false;
+            this.#current = null;
+            this.#next();
+        }
+    }
+
+    // Une tâche expirée n'est pas réessayée : son handler, qui ne peut pas être interrompu,
+    // continue peut-être et un nouvel essai écrirait la transaction une seconde fois
+    static isTransient(error) {
+        // fetch() échoue avant toute réponse (service injoignable)
+        if (error instanceof TypeError && error.message === "fetch failed") {
+            return true;
+        }
+
+        if (!TRANSIENT_EXCEPTIONS.includes(error?.constructor?.name)) {
+            return false;
+        }
+
+        // Sans code HTTP, l'erreur vient du réseau
+        return !error.code || TRANSIENT_STATUS_CODES.includes(error.code) || error.code >= 500;
+    }
+
+    // retryAfter (millisecondes) fourni par le service l'emporte sur le délai exponentiel
+    #delay(attempts, retryAfter = null) {
+        if (retryAfter != null) {
+            return Math.min(retryAfter, this.#maxRetryDelay);
+        }
+
+        return Math.min(this.#retryDelay * 2 ** (attempts - 1), this.#maxRetryDelay);
+    }
+
+    #withTimeout(promise, delay, controller) {
+        if (!delay) {
+            return promise;
+        }
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new QueueTimeoutException(delay);
+                controller.abort(error);
+                reject(error);
+            }, delay);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    #load() {
+        fs.mkdirSync(path.dirname(this.#file), {recursive: true});
+
+        if (!fs.existsSync(this.#file)) {
+            return;
+        }
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.#file, "utf8"));
+            this.#tasks = content.tasks || [];
+            this.#deadLetters = content.deadLetters || [];
+        } catch (error) {
+            console.warn(`File de tâches ignorée (${this.#file}): ${error.message}`);
+        }
+    }
+
+    #persist() {
+        if (!this.#file) {
+            return;
+        }
+
+        fs.writeFileSync(`${this.#file}.tmp`, JSON.stringify({tasks: this.#tasks, deadLetters: this.#deadLetters}));
+        fs.renameSync(`${this.#file}.tmp`, this.#file);
+    }
+}
+
+class QueueException extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
+
+class QueueTimeoutException extends Error {
+    constructor(timeout) {
+        super(`Task timed out after ${timeout / 1000} s`);
+    }
+}
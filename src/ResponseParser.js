@@ -0,0 +1,184 @@
+export default class ResponseParser {
+  #debugLog;
+
+  constructor(debugLog = () => {}) {
+    this.#debugLog = debugLog;
+  }
+
+  parse(response, categories, existingAccounts, autoDestinationAccount, budgets = [], autoBudget = false) {
+    this.#debugLog("Parsing AI response", { response, autoDestinationAccount, autoBudget });
+
+    try {
+      // Essayer de parser le JSON directement
+      const jsonResponse = JSON.parse(response);
+      return this.#fromJson(jsonResponse, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget);
+    } catch (jsonError) {
+      this.#debugLog("JSON parsing failed, trying fallback", {
+        error: jsonError.message,
+        response
+      });
+
+      // Fallback : essayer d'extraire le JSON du texte
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+          const jsonResponse = JSON.parse(jsonMatch[0]);
+          return this.#fromJson(jsonResponse, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget);
+        } catch (fallbackError) {
+          this.#debugLog("Fallback JSON parsing also failed", {
+            error: fallbackError.message,
+            jsonMatch: jsonMatch[0]
+          });
+        }
+      }
+
+      // Dernier recours : traiter comme du texte simple
+      const cleanResponse = response.trim();
+
+      // Mode avancé avec texte simple - essayer de séparer par "|"
+      const parts = cleanResponse.split('|');
+      if (parts.length >= 2) {
+        const [category, account, budget] = parts.map(part => part.trim());
+
+        const result = this.#match("category", category, categories);
+
+        if (autoDestinationAccount && account) {
+          Object.assign(result, this.#match("destinationAccount", account, existingAccounts));
+        }
+
+        if (autoBudget && budget) {
+          Object.assign(result, this.#match("budget", budget, budgets));
+        }
+
+        return result;
+      }
+
+      // Si pas de séparateur, traiter comme une catégorie simple
+      const result = this.#match("category", cleanResponse, categories);
+
+      if (autoDestinationAccount) {
+        result.destinationAccount = null;
+      }
+
+      if (autoBudget) {
+        result.budget = null;
+      }
+
+      return result;
+    }
+  }
+
+  // Réponse d'un lot : { "transactions": [{ id, category, ... }] } (ou directement le tableau).
+  // Retourne une Map id -> résultat ; les entrées à l'id inconnu ou en double sont ignorées,
+  // les transactions sans entrée valide sont absentes de la Map
+  parseBatch(response, ids, categories, existingAccounts, autoDestinationAccount, budgets = [], autoBudget = false) {
+    this.#debugLog("Parsing AI batch response", { response, ids });
+
+    const entries = this.#batchEntries(response);
+    const expectedIds = new Set(ids.map(String));
+    const results = new Map();
+
+    entries.forEach(entry => {
+      const id = entry && typeof entry === "object" ? String(entry.id) : null;
+      if (!id || !expectedIds.has(id) || results.has(id)) {
+        this.#debugLog("Batch entry ignored", { entry });
+        return;
+      }
+
+      if (typeof entry.category !== "string" || !entry.category.trim()) {
+        this.#debugLog("Batch entry without category", { entry });
+        return;
+      }
+
+      results.set(id, this.#fromJson(entry, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget));
+    });
+
+    const missing = ids.map(String).filter(id => !results.has(id));
+    if (missing.length > 0) {
+      this.#debugLog("Batch response incomplete", { missing });
+    }
+
+    return results;
+  }
+
+  #batchEntries(response) {
+    const candidates = [response, response.match(/\{[\s\S]*\}/)?.[0], response.match(/\[[\s\S]*\]/)?.[0]];
+
+    for (const candidate of candidates.filter(Boolean)) {
+      try {
+        const json = JSON.parse(candidate);
+        if (Array.isArray(json)) {
+          return json;
+        }
+        if (Array.isArray(json?.transactions)) {
+          return json.transactions;
+        }
+      } catch (error) {
+        this.#debugLog("Batch JSON parsing failed", { error: error.message });
+      }
+    }
+
+    return [];
+  }
+
+  #fromJson(jsonResponse, categories, existingAccounts, autoDestinationAccount, budgets, autoBudget) {
+    const result = this.#match("category", jsonResponse.category, categories);
+
+    if (autoDestinationAccount) {
+      Object.assign(result, this.#match("destinationAccount", jsonResponse.destinationAccount, existingAccounts));
+    }
+
+    if (autoBudget) {
+      Object.assign(result, this.#match("budget", jsonResponse.budget, budgets));
+    }
+
+    result.confidence = this.#parseConfidence(jsonResponse.confidence);
+
+    return result;
+  }
+
+  // Probabilité des tokens formant la valeur de "category" (produit des exp(logprob))
+  confidenceFromLogprobs(logprobs) {
+    const text = logprobs.map(entry => entry.token).join("");
+    const match = text.match(/"category"\s*:\s*"([^"]*)"/);
+    if (!match || !match[1]) {
+      return null;
+    }
+
+    const start = match.index + match[0].length - match[1].length - 1;
+    const end = start + match[1].length;
+
+    let position = 0;
+    let logprobSum = 0;
+    logprobs.forEach(entry => {
+      const tokenEnd = position + entry.token.length;
+      if (tokenEnd > start && position < end) {
+        logprobSum += entry.logprob;
+      }
+      position = tokenEnd;
+    });
+
+    return Math.exp(logprobSum);
+  }
+
+  // Auto-évaluation du modèle : 0..1, ou pourcentage (ex: 85 ou "85%").
+  // Une valeur entre 1 et 2 sans "%" (ex: 1.5) est une probabilité arrondie au-dessus de 1, pas 1,5 %.
+  #parseConfidence(value) {
+    const confidence = parseFloat(value);
+    if (isNaN(confidence) || confidence < 0) {
+      return null;
+    }
+
+    const percentage = String(value).trim().endsWith("%") || confidence >= 2;
+    return Math.min(percentage ? confidence / 100 : confidence, 1);
+  }
+
+  // Valeur connue -> field, sinon suggestedField (à créer)
+  #match(field, value, knownValues) {
+    const suggestedField = `suggested${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+    return {
+      [field]: knownValues.indexOf(value) !== -1 ? value : null,
+      [suggestedField]: knownValues.indexOf(value) === -1 ? value : null,
+    };
+  }
+}
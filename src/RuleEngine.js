@@ -0,0 +1,276 @@
+import {v4 as uuid} from "uuid";
+import fs from "fs";
+import path from "path";
+
+const TRANSACTION_TYPES = ["withdrawal", "deposit", "transfer"];
+// Les règles arrivent par l'API et sont évaluées sur chaque transaction : les motifs sont limités
+// pour éviter les expressions à retour arrière catastrophique (ReDoS)
+const MAX_PATTERN_LENGTH = 200;
+// g et y rendent test() dépendant de l'appel précédent
+const REGEX_FLAGS = /^[imsu]*$/;
+
+// Règles locales évaluées avant l'IA. Un motif "/regex/flags" est une expression régulière,
+// tout autre texte est recherché sans tenir compte de la casse.
+export default class RuleEngine {
+  #rules = [];
+  // Règles du fichier refusées au chargement : conservées telles quelles à l'enregistrement
+  #invalidRules = [];
+  #file;
+  // Expressions compilées une seule fois, par bloc de conditions
+  #compiled = new WeakMap();
+
+  constructor(file = null) {
+    this.#file = file;
+
+    if (this.#file) {
+      this.#load();
+    }
+  }
+
+  getRules() {
+    return this.#rules;
+  }
+
+  getRule(id) {
+    return this.#rules.find(rule => rule.id === id);
+  }
+
+  addRule(data) {
+    const rule = this.#validate({id: uuid(), enabled: true, ...data});
+    this.#rules.push(rule);
+    this.#save();
+    return rule;
+  }
+
+  updateRule(id, data) {
+    const index = this.#rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const rule = this.#validate({...this.#rules[index], ...data, id});
+    this.#rules[index] = rule;
+    this.#save();
+    return rule;
+  }
+
+  deleteRule(id) {
+    const index = this.#rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.#rules.splice(index, 1);
+    this.#save();
+    return true;
+  }
+
+  // Retourne la première règle active qui correspond, dans l'ordre de la liste
+  match(transaction) {
+    return this.#rules.find(rule => rule.enabled && this.#matches(rule.match, transaction)) || null;
+  }
+
+  #matches(conditions, transaction) {
+    const regexes = this.#compiled.get(conditions);
+
+    if (conditions.type && conditions.type !== transaction.type) {
+      return false;
+    }
+
+    if (conditions.description && !this.#matchesPattern(conditions.description, regexes.description, transaction.description)) {
+      return false;
+    }
+
+    if (conditions.destinationName && !this.#matchesPattern(conditions.destinationName, regexes.destinationName, transaction.destinationName)) {
+      return false;
+    }
+
+    const amount = Math.abs(parseFloat(transaction.amount));
+    if (conditions.amountMin != null && !(amount >= conditions.amountMin)) {
+      return false;
+    }
+
+    if (conditions.amountMax != null && !(amount <= conditions.amountMax)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  #matchesPattern(pattern, regex, value) {
+    if (!value) {
+      return false;
+    }
+
+    if (regex) {
+      return regex.test(value);
+    }
+
+    return value.toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  #toRegex(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regexMatch) {
+      return null;
+    }
+
+    if (!REGEX_FLAGS.test(regexMatch[2])) {
+      throw new Error("only the i, m, s and u flags are allowed");
+    }
+
+    if (hasAmbiguousQuantifiedGroup(regexMatch[1])) {
+      throw new Error("a repeated group cannot contain a quantifier or an alternative, such as (a+)+ or (a|aa)+");
+    }
+
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  #validate(rule) {
+    const conditions = rule.match || {};
+
+    if (!rule.name || typeof rule.name !== "string") {
+      throw new RuleValidationException("A rule needs a name");
+    }
+
+    if (!conditions.description && !conditions.destinationName && !conditions.type &&
+      conditions.amountMin == null && conditions.amountMax == null) {
+      throw new RuleValidationException("A rule needs at least one condition in match");
+    }
+
+    if (conditions.type && !TRANSACTION_TYPES.includes(conditions.type)) {
+      throw new RuleValidationException(`match.type must be one of ${TRANSACTION_TYPES.join(", ")}`);
+    }
+
+    const regexes = {};
+    ["description", "destinationName"].forEach(field => {
+      if (conditions[field] == null) {
+        return;
+      }
+
+      if (typeof conditions[field] !== "string") {
+        throw new RuleValidationException(`match.${field} must be a string`);
+      }
+
+      if (conditions[field].length > MAX_PATTERN_LENGTH) {
+        throw new RuleValidationException(`match.${field} must not exceed ${MAX_PATTERN_LENGTH} characters`);
+      }
+
+      try {
+        regexes[field] = this.#toRegex(conditions[field]);
+      } catch (error) {
+        throw new RuleValidationException(`match.${field} is not a valid regular expression: ${error.message}`);
+      }
+    });
+
+    ["amountMin", "amountMax"].forEach(field => {
+      if (conditions[field] != null && typeof conditions[field] !== "number") {
+        throw new RuleValidationException(`match.${field} must be a number`);
+      }
+    });
+
+    if (!rule.category && !rule.destinationAccount && !rule.budget) {
+      throw new RuleValidationException("A rule needs a category, destinationAccount or budget");
+    }
+
+    const match = {
+      description: conditions.description || null,
+      destinationName: conditions.destinationName || null,
+      type: conditions.type || null,
+      amountMin: conditions.amountMin ?? null,
+      amountMax: conditions.amountMax ?? null,
+    };
+    this.#compiled.set(match, regexes);
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      enabled: rule.enabled !== false,
+      match,
+      category: rule.category || null,
+      destinationAccount: rule.destinationAccount || null,
+      budget: rule.budget || null,
+    };
+  }
+
+  #load() {
+    fs.mkdirSync(path.dirname(this.#file), {recursive: true});
+
+    if (!fs.existsSync(this.#file)) {
+      return;
+    }
+
+    // Mêmes contrôles que pour une règle reçue par l'API ; une règle invalide est ignorée sans bloquer le démarrage
+    JSON.parse(fs.readFileSync(this.#file, "utf8")).forEach(rule => {
+      try {
+        this.#rules.push(this.#validate(rule));
+      } catch (error) {
+        console.error(`Règle "${rule?.name || rule?.id}" ignorée (${this.#file}): ${error.message}`);
+        this.#invalidRules.push(rule);
+      }
+    });
+    console.log(`${this.#rules.length} règles chargées depuis ${this.#file}`);
+  }
+
+  #save() {
+    if (!this.#file) {
+      return;
+    }
+
+    fs.writeFileSync(`${this.#file}.tmp`, JSON.stringify([...this.#rules, ...this.#invalidRules], null, 2));
+    fs.renameSync(`${this.#file}.tmp`, this.#file);
+  }
+}
+
+// Groupe quantifié dont le contenu peut correspondre de plusieurs façons : quantificateur imbriqué
+// ((a+)+, (\w*x)*, ((ab)+){2,}) ou alternative ((a|aa)+, (a|a)*)
+function hasAmbiguousQuantifiedGroup(source) {
+  const groups = [];
+  let closedGroup = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const quantifier = char === "*" || char === "+" || (char === "{" && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+
+    if (quantifier) {
+      if (closedGroup?.ambiguous) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1].ambiguous = true;
+      }
+    }
+
+    closedGroup = null;
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Classe de caractères : ses *, +, | et parenthèses ne comptent pas
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") {
+          i++;
+        }
+      }
+    } else if (char === "|" && groups.length > 0) {
+      groups[groups.length - 1].ambiguous = true;
+    } else if (char === "(") {
+      groups.push({ambiguous: false});
+    } else if (char === ")" && groups.length > 0) {
+      closedGroup = groups.pop();
+      if (closedGroup.ambiguous && groups.length > 0) {
+        groups[groups.length - 1].ambiguous = true;
+      }
+    } else if (char === "{" && quantifier) {
+      i = source.indexOf("}", i);
+    }
+  }
+
+  return false;
+}
+
+class RuleValidationException extends Error {
+  constructor(message) {
+    super(message);
+  }
+}
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+
+export default class WebhookVerifier {
+  #toleranceSeconds;
+  #seenSignatures = new Map();
+
+  constructor(toleranceSeconds = 300) {
+    this.#toleranceSeconds = toleranceSeconds;
+  }
+
+  // Firefly III envoie un header "Signature: t=<timestamp>,v1=<hmac>" où
+  // hmac = HMAC-SHA3-256("<timestamp>.<body>", secret du webhook).
+  // secrets : un secret ou une liste (un par webhook pointant vers cette URL)
+  verify(signatureHeader, rawBody, secrets, now = Date.now()) {
+    const secretList = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+    if (secretList.length === 0) {
+      throw new WebhookSignatureException("No webhook secret available to verify the request");
+    }
+
+    if (!signatureHeader) {
+      throw new WebhookSignatureException("Missing Signature header");
+    }
+
+    const parts = {};
+    signatureHeader.split(",").forEach(part => {
+      const [key, ...value] = part.trim().split("=");
+      parts[key] = value.join("=");
+    });
+
+    const timestamp = parseInt(parts.t);
+    const signature = parts.v1;
+
+    if (!timestamp || !signature) {
+      throw new WebhookSignatureException("Malformed Signature header");
+    }
+
+    const signatureBuffer = Buffer.from(signature, "utf8");
+    const isValid = secretList.some(secret => {
+      const expected = crypto
+        .createHmac("sha3-256", secret)
+        .update(`${timestamp}.${rawBody ?? ""}`)
+        .digest("hex");
+
+      const expectedBuffer = Buffer.from(expected, "utf8");
+      return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    });
+
+    if (!isValid) {
+      throw new WebhookSignatureException("Invalid signature");
+    }
+
+    // Protection contre le rejeu : horodatage récent et signature jamais vue
+    const nowSeconds = Math.floor(now / 1000);
+    if (Math.abs(nowSeconds - timestamp) > this.#toleranceSeconds) {
+      throw new WebhookSignatureException(`Signature timestamp outside of the ${this.#toleranceSeconds}s tolerance window`);
+    }
+
+    this.#forgetExpiredSignatures(nowSeconds);
+
+    if (this.#seenSignatures.has(signature)) {
+      throw new WebhookSignatureException("Signature already used (replayed request)");
+    }
+
+    this.#seenSignatures.set(signature, timestamp + this.#toleranceSeconds);
+  }
+
+  #forgetExpiredSignatures(nowSeconds) {
+    for (const [signature, expiresAt] of this.#seenSignatures) {
+      if (expiresAt < nowSeconds) {
+        this.#seenSignatures.delete(signature);
+      }
+    }
+  }
+}
+
+class WebhookSignatureException extends Error {
+  constructor(message) {
+    super(message);
+  }
+}
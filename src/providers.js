@@ -0,0 +1,30 @@
+import OpenAiService from "./OpenAiService.js";
+import OllamaService from "./OllamaService.js";
+
+const providers = new Map();
+
+export function registerProvider(name, providerClass) {
+  providers.set(name, providerClass);
+}
+
+export function createProvider(name, language) {
+  const providerClass = providers.get(name);
+  if (!providerClass) {
+    throw new UnknownProviderException(name, Array.from(providers.keys()));
+  }
+
+  return providerClass.fromConfig(language);
+}
+
+class UnknownProviderException extends Error {
+  providerName;
+
+  constructor(providerName, availableProviders) {
+    super(`Unknown AI provider '${providerName}'. Available providers: ${availableProviders.join(", ")}`);
+
+    this.providerName = providerName;
+  }
+}
+
+registerProvider("openai", OpenAiService);
+registerProvider("ollama", OllamaService);
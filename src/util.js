@@ -9,7 +9,7 @@ class MissingEnvironmentVariableException extends Error {
 }
 
 export function getConfigVariable(name, defaultValue = null) {
-    if (!process.env.hasOwnProperty(name) || process.env[name] == null) {
+    if (!Object.hasOwn(process.env, name) || process.env[name] == null) {
         if (defaultValue == null) {
             throw new MissingEnvironmentVariableException(name)
         }
@@ -18,4 +18,24 @@ export function getConfigVariable(name, defaultValue = null) {
     }
 
     return process.env[name];
-}
\ No newline at end of file
+}
+
+// Délai demandé par un en-tête Retry-After (secondes ou date HTTP), en millisecondes.
+// headers : objet Headers de fetch ou objet simple
+export function getRetryAfter(headers) {
+    const value = typeof headers?.get === "function"
+        ? headers.get("retry-after")
+        : headers?.["retry-after"] ?? headers?.["Retry-After"];
+
+    if (value == null || value === "") {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(seconds, 0) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import DescriptionNormalizer from "../src/DescriptionNormalizer.js";
+
+const normalizer = new DescriptionNormalizer();
+
+describe("DescriptionNormalizer", () => {
+  it("strips the payment prefix, card number and date from a French card payment", () => {
+    const result = normalizer.normalize("PAIEMENT PAR CARTE X1234 CARREFOUR MARKET 12/05 PARIS");
+    assert.equal(result.normalized, "CARREFOUR MARKET; PARIS");
+    assert.equal(result.merchant, "CARREFOUR MARKET");
+    assert.equal(result.city, "PARIS");
+  });
+
+  it("strips a short card prefix", () => {
+    const result = normalizer.normalize("CB CARREFOUR 12/05 PARIS FR");
+    assert.equal(result.normalized, "CARREFOUR; PARIS FR");
+    assert.equal(result.merchant, "CARREFOUR");
+    assert.equal(result.city, "PARIS");
+  });
+
+  it("strips the references of a German card payment", () => {
+    const result = normalizer.normalize("LIEFERANDO.DE LIEFERSERVI; AMSTERDAM NL; KARTE 8338; 40010075001 16052023; KDN-REF 000000986464");
+    assert.equal(result.normalized, "LIEFERANDO.DE LIEFERSERVI; AMSTERDAM NL");
+    assert.equal(result.merchant, "LIEFERANDO.DE LIEFERSERVI");
+    assert.equal(result.city, "AMSTERDAM");
+  });
+
+  it("strips a German payment prefix and a full date", () => {
+    const result = normalizer.normalize("KARTENZAHLUNG REWE SAGT DANKE 24.12.2023 BERLIN DE");
+    assert.equal(result.merchant, "REWE SAGT DANKE");
+    assert.equal(result.city, "BERLIN");
+  });
+
+  it("strips a direct debit prefix", () => {
+    assert.equal(normalizer.normalize("PRLV SEPA EDF CLIENTS PARTICULIERS").merchant, "EDF CLIENTS PARTICULIERS");
+  });
+
+  it("keeps amounts that look like dates", () => {
+    assert.equal(normalizer.normalize("AMAZON 12.99 monthly").normalized, "AMAZON 12.99 monthly");
+    assert.equal(normalizer.normalize("SPOTIFY 9.99 2024-01-05").normalized, "SPOTIFY 9.99");
+  });
+
+  it("keeps the raw description", () => {
+    assert.equal(normalizer.normalize("CB CARREFOUR 12/05 PARIS FR").raw, "CB CARREFOUR 12/05 PARIS FR");
+  });
+
+  it("refuses unknown steps", () => {
+    assert.throws(() => new DescriptionNormalizer(["unknown"]));
+  });
+});
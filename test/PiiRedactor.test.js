@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import PiiRedactor from "../src/PiiRedactor.js";
+
+describe("PiiRedactor", () => {
+  it("replaces IBANs, emails, card and phone numbers with placeholders", () => {
+    const { text, redactions } = new PiiRedactor().redact(
+      "VIR SEPA FR76 3000 6000 0112 3456 7890 189 jean.dupont@example.com CARTE 4970 1012 3456 7890 TEL 06 12 34 56 78"
+    );
+
+    assert.equal(text, "VIR SEPA [IBAN_1] [EMAIL_1] CARTE [CARD_1] TEL [PHONE_1]");
+    assert.deepEqual(redactions.map(({ type }) => type).sort(), ["CARD", "EMAIL", "IBAN", "PHONE"]);
+  });
+
+  it("leaves short numbers, amounts and references alone", () => {
+    const description = "LIEFERANDO.DE LIEFERSERVI; AMSTERDAM NL; KARTE 8338; 12.99 EUR";
+    assert.equal(new PiiRedactor().redact(description).text, description);
+  });
+
+  it("redacts configured names regardless of case and reuses the placeholder", () => {
+    const { text } = new PiiRedactor(["Jean Dupont"]).redact("VIR JEAN DUPONT loyer / jean dupont");
+    assert.equal(text, "VIR [NAME_1] loyer / [NAME_1]");
+  });
+
+  it("restores the original values in the AI response", () => {
+    const { restore } = new PiiRedactor(["Jean Dupont"]).redact("VIR Jean Dupont");
+    assert.equal(restore('{"destinationAccount": "[NAME_1]"}'), '{"destinationAccount": "Jean Dupont"}');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ResponseParser from "../src/ResponseParser.js";
+
+const CATEGORIES = ["Groceries", "Transport"];
+const ACCOUNTS = ["Lidl", "SNCF"];
+const BUDGETS = ["Food"];
+
+const parser = new ResponseParser();
+const confidenceOf = value => parser.parse(JSON.stringify({ category: "Groceries", confidence: value }), CATEGORIES, [], false).confidence;
+
+describe("ResponseParser.parse", () => {
+  it("reads a JSON answer and separates known and suggested values", () => {
+    const result = parser.parse(
+      JSON.stringify({ category: "Groceries", destinationAccount: "Aldi", budget: "Food" }),
+      CATEGORIES, ACCOUNTS, true, BUDGETS, true
+    );
+
+    assert.equal(result.category, "Groceries");
+    assert.equal(result.suggestedCategory, null);
+    assert.equal(result.destinationAccount, null);
+    assert.equal(result.suggestedDestinationAccount, "Aldi");
+    assert.equal(result.budget, "Food");
+  });
+
+  it("extracts JSON surrounded by text", () => {
+    const result = parser.parse('Here you go: {"category": "Transport"} Hope it helps', CATEGORIES, [], false);
+    assert.equal(result.category, "Transport");
+  });
+
+  it("falls back to a pipe-separated answer", () => {
+    const result = parser.parse("Transport | SNCF | Food", CATEGORIES, ACCOUNTS, true, BUDGETS, true);
+    assert.equal(result.category, "Transport");
+    assert.equal(result.destinationAccount, "SNCF");
+    assert.equal(result.budget, "Food");
+  });
+
+  it("treats plain text as a category", () => {
+    const result = parser.parse("  Brand New  ", CATEGORIES, [], false);
+    assert.equal(result.category, null);
+    assert.equal(result.suggestedCategory, "Brand New");
+  });
+});
+
+describe("ResponseParser confidence", () => {
+  it("keeps values between 0 and 1", () => {
+    assert.equal(confidenceOf(0.8), 0.8);
+    assert.equal(confidenceOf("0.35"), 0.35);
+    assert.equal(confidenceOf(1), 1);
+  });
+
+  it("reads percentages with a % sign or from 2 upwards", () => {
+    assert.equal(confidenceOf(85), 0.85);
+    assert.equal(confidenceOf("85%"), 0.85);
+    assert.equal(confidenceOf("0.5%"), 0.005);
+    assert.equal(confidenceOf(2), 0.02);
+  });
+
+  it("clamps values slightly above 1 instead of reading them as percentages", () => {
+    assert.equal(confidenceOf(1.5), 1);
+    assert.equal(confidenceOf("1.5"), 1);
+    assert.equal(confidenceOf(150), 1);
+  });
+
+  it("ignores missing, negative or non-numeric values", () => {
+    assert.equal(confidenceOf(undefined), null);
+    assert.equal(confidenceOf(-1), null);
+    assert.equal(confidenceOf("high"), null);
+  });
+});
+
+describe("ResponseParser.parseBatch", () => {
+  it("maps entries by id and skips unknown, duplicate or empty ones", () => {
+    const response = JSON.stringify({
+      transactions: [
+        { id: 1, category: "Groceries", confidence: 0.9 },
+        { id: 1, category: "Transport" },
+        { id: 2, category: "" },
+        { id: 9, category: "Transport" },
+        { id: "3", category: "Transport" },
+      ],
+    });
+
+    const results = parser.parseBatch(response, [1, 2, 3], CATEGORIES, [], false);
+    assert.deepEqual(Array.from(results.keys()), ["1", "3"]);
+    assert.equal(results.get("1").category, "Groceries");
+    assert.equal(results.get("1").confidence, 0.9);
+    assert.equal(results.get("3").category, "Transport");
+  });
+
+  it("accepts a bare array wrapped in text", () => {
+    const results = parser.parseBatch('Result: [{"id": 1, "category": "Transport"}]', [1], CATEGORIES, [], false);
+    assert.equal(results.get("1").category, "Transport");
+  });
+
+  it("returns an empty Map for an unreadable answer", () => {
+    assert.equal(parser.parseBatch("no idea", [1], CATEGORIES, [], false).size, 0);
+  });
+});
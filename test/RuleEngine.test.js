@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import RuleEngine from "../src/RuleEngine.js";
+
+const rule = (description, extra = {}) => ({ name: "Test", match: { description }, category: "Groceries", ...extra });
+
+describe("RuleEngine validation", () => {
+  it("refuses incomplete rules", () => {
+    const engine = new RuleEngine();
+    assert.throws(() => engine.addRule({ match: { description: "lidl" }, category: "Groceries" }), /A rule needs a name/);
+    assert.throws(() => engine.addRule({ name: "Test", match: {}, category: "Groceries" }), /at least one condition/);
+    assert.throws(() => engine.addRule({ name: "Test", match: { description: "lidl" } }), /category, destinationAccount or budget/);
+    assert.throws(() => engine.addRule(rule("lidl", { match: { type: "refund" } })), /match.type must be one of/);
+    assert.throws(() => engine.addRule(rule("lidl", { match: { amountMin: "10" } })), /match.amountMin must be a number/);
+  });
+
+  it("refuses patterns that are too long", () => {
+    assert.throws(() => new RuleEngine().addRule(rule("a".repeat(201))), /must not exceed 200 characters/);
+  });
+
+  it("refuses invalid regular expressions and unsupported flags", () => {
+    const engine = new RuleEngine();
+    assert.throws(() => engine.addRule(rule("/(lidl/")), /not a valid regular expression/);
+    assert.throws(() => engine.addRule(rule("/lidl/g")), /only the i, m, s and u flags are allowed/);
+    assert.throws(() => engine.addRule(rule("/lidl/y")), /only the i, m, s and u flags are allowed/);
+  });
+
+  it("refuses repeated groups that can backtrack catastrophically", () => {
+    const engine = new RuleEngine();
+    ["/(a+)+$/", "/(\\w*x)*/", "/((ab)+){2,}/", "/(a|aa)+$/", "/(a|a)*/", "/(?:x(a|b))+/"].forEach(pattern => {
+      assert.throws(() => engine.addRule(rule(pattern)), /a repeated group cannot contain a quantifier or an alternative/, pattern);
+    });
+  });
+
+  it("accepts ordinary patterns", () => {
+    const engine = new RuleEngine();
+    ["/(?:lidl|aldi)/i", "/(lidl|aldi)?x/", "/([a|b])+/", "/a|b+/", "/^LIDL\\s+\\d{2,}/i", "/(\\+33)+/", "lidl (paris)+"].forEach(pattern => {
+      assert.doesNotThrow(() => engine.addRule(rule(pattern)), pattern);
+    });
+  });
+
+  it("validates updates like new rules", () => {
+    const engine = new RuleEngine();
+    const { id } = engine.addRule(rule("lidl"));
+    assert.throws(() => engine.updateRule(id, { match: { description: "/(a+)+/" } }), /not a valid regular expression/);
+    assert.equal(engine.getRule(id).match.description, "lidl");
+  });
+});
+
+describe("RuleEngine matching", () => {
+  it("returns the first enabled rule that matches every condition", () => {
+    const engine = new RuleEngine();
+    engine.addRule({ ...rule("lidl"), name: "Disabled", enabled: false });
+    engine.addRule({ ...rule("/^LIDL\\s+\\d{2,}/i"), name: "Regex", match: { description: "/^LIDL\\s+\\d{2,}/i", type: "withdrawal", amountMax: 100 } });
+    engine.addRule({ ...rule("lidl"), name: "Fallback" });
+
+    assert.equal(engine.match({ description: "Lidl 1234 Paris", type: "withdrawal", amount: "-42.50" }).name, "Regex");
+    assert.equal(engine.match({ description: "Lidl 1234 Paris", type: "withdrawal", amount: "150" }).name, "Fallback");
+    assert.equal(engine.match({ description: "Aldi", type: "withdrawal", amount: "10" }), null);
+  });
+});
+
+describe("RuleEngine file", () => {
+  it("skips invalid rules on load and keeps them when saving", t => {
+    t.mock.method(console, "error", () => {});
+    t.mock.method(console, "log", () => {});
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "rules.json");
+    const invalid = { id: "bad", ...rule("/(a+)+$/") };
+    fs.writeFileSync(file, JSON.stringify([{ id: "good", ...rule("lidl") }, invalid]));
+
+    const engine = new RuleEngine(file);
+    assert.deepEqual(engine.getRules().map(({ id }) => id), ["good"]);
+    assert.equal(console.error.mock.callCount(), 1);
+
+    engine.addRule(rule("aldi"));
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.equal(saved.length, 3);
+    assert.deepEqual(saved.find(({ id }) => id === "bad"), invalid);
+  });
+});
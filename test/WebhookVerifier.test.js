@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import WebhookVerifier from "../src/WebhookVerifier.js";
+
+const SECRET = "s3cret";
+const BODY = JSON.stringify({ trigger: "STORE_TRANSACTION", content: { id: 1 } });
+const NOW = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+function sign(body, secret = SECRET, timestamp = Math.floor(NOW / 1000)) {
+  const hmac = crypto.createHmac("sha3-256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+describe("WebhookVerifier", () => {
+  it("accepts a valid signature", () => {
+    assert.doesNotThrow(() => new WebhookVerifier().verify(sign(BODY), BODY, SECRET, NOW));
+  });
+
+  it("accepts a signature made with any of the known secrets", () => {
+    assert.doesNotThrow(() => new WebhookVerifier().verify(sign(BODY, "other"), BODY, [SECRET, "other"], NOW));
+  });
+
+  it("rejects a signature made with another secret", () => {
+    assert.throws(() => new WebhookVerifier().verify(sign(BODY, "wrong"), BODY, SECRET, NOW), /Invalid signature/);
+  });
+
+  it("rejects a body modified after signing", () => {
+    assert.throws(() => new WebhookVerifier().verify(sign(BODY), `${BODY} `, SECRET, NOW), /Invalid signature/);
+  });
+
+  it("rejects a missing or malformed header", () => {
+    const verifier = new WebhookVerifier();
+    assert.throws(() => verifier.verify(undefined, BODY, SECRET, NOW), /Missing Signature header/);
+    assert.throws(() => verifier.verify("v1=abc", BODY, SECRET, NOW), /Malformed Signature header/);
+  });
+
+  it("rejects every request while no secret is known", () => {
+    assert.throws(() => new WebhookVerifier().verify(sign(BODY), BODY, ["", null], NOW), /No webhook secret/);
+  });
+
+  it("rejects a timestamp outside the tolerance window", () => {
+    const verifier = new WebhookVerifier(300);
+    const stale = Math.floor(NOW / 1000) - 301;
+    assert.throws(() => verifier.verify(sign(BODY, SECRET, stale), BODY, SECRET, NOW), /tolerance window/);
+
+    const future = Math.floor(NOW / 1000) + 301;
+    assert.throws(() => verifier.verify(sign(BODY, SECRET, future), BODY, SECRET, NOW), /tolerance window/);
+  });
+
+  it("rejects a replayed signature", () => {
+    const verifier = new WebhookVerifier();
+    const signature = sign(BODY);
+    verifier.verify(signature, BODY, SECRET, NOW);
+    assert.throws(() => verifier.verify(signature, BODY, SECRET, NOW + 1000), /replayed request/);
+  });
+});